@@ -1,12 +1,89 @@
 // api.js
 const socket = io(); // Connects to the Socket.IO server on the same host and port
 
+// Camera-specific events carry the camera id as a trailing argument. The last update per
+// camera is kept so switching cameras redraws without another round trip.
+let selectedCameraId = null;
+const cameraState = {};
+let isOperator = false; // Viewers see the settings read-only
+let lastHealth = null; // Redrawn for the newly selected camera without waiting for the next update
+let isVideoJobRunning = false; // A render or frame processing pass runs on the selected camera
+
+// Live server log for operators; filtering by level happens here so switching is instant
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_VIEW_LIMIT = 500;
+let logEntries = [];
+let logPaused = false;
+
+function getCameraState(cameraId) {
+    if (!cameraState[cameraId]) {
+        cameraState[cameraId] = { status: null, streamStatus: 'Stopped', streamUrl: '', sessionList: null, videoStatus: null };
+    }
+    return cameraState[cameraId];
+}
+
+// Store a camera's update and report whether it belongs to the camera on screen
+function updateCameraState(cameraId, key, value) {
+    const id = cameraId || selectedCameraId;
+    if (id) {
+        getCameraState(id)[key] = value;
+    }
+    return !cameraId || cameraId === selectedCameraId;
+}
+
 // Event listeners for incoming data from the server
-socket.on('statusUpdate', (data) => {
+socket.on('authUpdate', (user) => {
+    // Operator-only controls are marked data-role="operator" and hidden for viewers
+    isOperator = user.role === 'operator';
+    document.body.classList.toggle('role-viewer', !isOperator);
+    document.getElementById('userBar').style.display = user.authEnabled ? 'flex' : 'none';
+    document.getElementById('currentUser').textContent = `👤 ${user.username} (${user.role})`;
+    // Sent on every (re)connect, which also drops the previous log subscription
+    if (isOperator) {
+        socket.emit('subscribeLogs');
+    }
+});
+
+// The handshake is refused when the session cookie is missing or expired
+socket.on('connect_error', (error) => {
+    if (error.message === 'Authentication required') {
+        window.location.href = '/login.html';
+    }
+});
+
+socket.on('cameraListUpdate', (cameras) => {
+    const select = document.getElementById('cameraSelect');
+    select.innerHTML = cameras.map(camera => {
+        const activity = [camera.isCapturing ? 'capturing' : null, camera.isStreamActive ? 'streaming' : null].filter(Boolean);
+        const label = activity.length > 0 ? `${escapeHtml(camera.name)} (${activity.join(', ')})` : escapeHtml(camera.name);
+        return `<option value="${escapeHtml(camera.id)}">${label}</option>`;
+    }).join('');
+
+    // Only show the switcher when there is something to switch between
+    document.getElementById('cameraBar').style.display = cameras.length > 1 ? 'flex' : 'none';
+
+    const stillExists = cameras.some(camera => camera.id === selectedCameraId);
+    selectedCameraId = stillExists ? selectedCameraId : (cameras[0] ? cameras[0].id : null);
+    select.value = selectedCameraId;
+});
+
+socket.on('statusUpdate', (data, cameraId) => {
+    data.receivedAt = Date.now(); // nextCaptureInMs counts from here
+    if (updateCameraState(cameraId, 'status', data)) {
+        renderStatus(data);
+    }
+});
+
+function renderStatus(data) {
     document.getElementById('captureStatus').textContent = data.captureStatus;
     document.getElementById('imageCount').textContent = data.imageCount;
     document.getElementById('sessionTime').textContent = data.sessionTime;
-    document.getElementById('nextCapture').textContent = data.nextCapture;
+    renderNextCapture(data);
+    renderWatchdogStatus(data.watchdog);
+    renderCaptureModeStatus(data.captureMode);
+    renderExposureStatus(data.exposure);
+
+    renderScheduleStatus(data.schedule);
 
     // Update button states based on capture status
     const startBtn = document.getElementById('startBtn');
@@ -18,31 +95,387 @@ socket.on('statusUpdate', (data) => {
         startBtn.disabled = false;
         stopBtn.disabled = true;
     }
+}
+
+// The settings form is generated from the schema the server sends: one section per group,
+// inputs named setting-<ENV NAME>. Settings marked not editable are shown read-only.
+socket.on('settingsUpdate', ({ groups, settings }) => {
+    const form = document.getElementById('settingsForm');
+    form.innerHTML = '';
+
+    groups.forEach(group => {
+        const groupSettings = settings.filter(setting => setting.group === group);
+        if (groupSettings.length === 0) return;
+
+        const section = document.createElement('div');
+        section.className = 'config-section';
+        const heading = document.createElement('h3');
+        heading.textContent = group;
+        section.appendChild(heading);
+        if (groupSettings.every(setting => !setting.editable)) {
+            const hint = document.createElement('p');
+            hint.className = 'setting-hint';
+            hint.textContent = 'Change these in .env and restart the server.';
+            section.appendChild(hint);
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'form-grid';
+        groupSettings.forEach(setting => grid.appendChild(createSettingField(setting)));
+        section.appendChild(grid);
+        form.appendChild(section);
+    });
+});
+
+function createSettingField(setting) {
+    const id = `setting-${setting.name}`;
+    const field = document.createElement('div');
+    field.className = setting.type === 'boolean' ? 'checkbox-group' : 'form-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = setting.unit ? `${setting.label} (${setting.unit})` : setting.label;
+    label.title = setting.name;
+    setting.applies.forEach(target => {
+        const badge = document.createElement('span');
+        badge.className = 'setting-badge';
+        badge.textContent = `restart ${target}`;
+        badge.title = `Takes effect the next time the ${target === 'stream' ? 'live preview' : 'capture'} starts`;
+        label.appendChild(badge);
+    });
+
+    let input;
+    if (setting.values) {
+        input = document.createElement('select');
+        setting.values.forEach(value => input.add(new Option(String(value), String(value))));
+        input.value = String(setting.value);
+    } else {
+        input = document.createElement('input');
+        if (setting.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = Boolean(setting.value);
+        } else {
+            input.type = { integer: 'number', number: 'number', time: 'time' }[setting.type] || 'text';
+            if (setting.type === 'number') input.step = 'any';
+            if (setting.type === 'scheduleTime') input.placeholder = 'HH:MM, sunrise-30, sunset+15';
+            if (setting.min !== null) input.min = setting.min;
+            if (setting.max !== null) input.max = setting.max;
+            input.value = setting.value ?? '';
+        }
+    }
+    input.id = id;
+    input.dataset.setting = setting.name;
+    input.dataset.type = setting.type;
+    input.disabled = !setting.editable || !isOperator;
+
+    // Checkboxes sit before their label, like the rest of the dashboard
+    if (setting.type === 'boolean') {
+        field.append(input, label);
+    } else {
+        field.append(label, input);
+    }
+    return field;
+}
+
+// Fields rejected by the config schema: [{ field, message }], field being the .env name
+// (settings form) or the legacy saveConfig key
+socket.on('configValidationError', (errors) => {
+    errors.forEach(({ field, message }) => {
+        const input = document.getElementById(`setting-${field}`) || document.getElementById(field);
+        if (input) {
+            input.classList.add('invalid');
+            input.title = message;
+        }
+    });
+});
+
+socket.on('presetListUpdate', ({ activePreset, presets }) => {
+    const select = document.getElementById('presetSelect');
+    const previous = select.value;
+    select.innerHTML = presets.length > 0
+        ? presets.map(preset => `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.name)}</option>`).join('')
+        : '<option value="">No presets saved</option>';
+    if (presets.some(preset => preset.name === previous)) {
+        select.value = previous;
+    } else if (activePreset) {
+        select.value = activePreset;
+    }
+    document.getElementById('activePreset').textContent = activePreset
+        ? `Active preset: ${activePreset}`
+        : 'No preset active';
+});
+
+// Previous .env versions, newest first. Diff shows what rolling back to an entry would change.
+socket.on('configHistoryUpdate', (history) => {
+    const list = document.getElementById('configHistoryList');
+    if (history.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <p>No saved changes yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = history.map(entry => `
+        <div class="file-item video-item" id="history-${entry.id}">
+            <div class="image-info">
+                <strong>${new Date(entry.savedAt).toLocaleString()} by ${escapeHtml(entry.author)}</strong>
+                <div class="image-meta">${escapeHtml(entry.reason ? `${entry.reason}: ` : '')}${escapeHtml(entry.changes.join(', ') || 'no changes')}</div>
+                <div class="image-meta history-diff" style="display: none;"></div>
+            </div>
+            <div class="video-actions">
+                <button class="btn btn-small btn-primary" onclick="showConfigDiff('${entry.id}')">🔍 Diff</button>
+                <button class="btn btn-small btn-danger" onclick="rollbackConfig('${entry.id}')" data-role="operator">↩️ Roll back</button>
+            </div>
+        </div>
+    `).join('');
+});
+
+socket.on('configDiff', (entry) => {
+    const item = document.getElementById(`history-${entry.id}`);
+    if (!item) return;
+    const diff = item.querySelector('.history-diff');
+    diff.innerHTML = entry.diff.length === 0
+        ? 'Same as the current configuration'
+        : entry.diff.map(change => `
+            <div><code>${escapeHtml(change.key)}</code>: ${escapeHtml(change.current ?? '(unset)')} → ${escapeHtml(change.restored ?? '(unset)')}</div>
+        `).join('');
+    diff.style.display = 'flex';
 });
 
-socket.on('configUpdate', (config) => {
-    // Update UI elements with received configuration
-    document.getElementById('captureInterval').value = config.captureInterval;
-    document.getElementById('imageQuality').value = config.imageQuality;
-    document.getElementById('streamFps').value = config.streamFps;
-    document.getElementById('streamQuality').value = config.streamQuality;
-    document.getElementById('scheduleEnabled').checked = config.scheduleEnabled;
-    document.getElementById('startTime').value = config.startTime;
-    document.getElementById('stopTime').value = config.stopTime;
-    document.getElementById('videoFps').value = config.videoFps;
-    document.getElementById('videoQuality').value = config.videoQuality;
+socket.on('logHistory', (entries) => {
+    logEntries = entries.slice(-LOG_VIEW_LIMIT);
+    renderLogEntries();
+});
+
+socket.on('logEntry', (entry) => {
+    logEntries.push(entry);
+    if (logEntries.length > LOG_VIEW_LIMIT) {
+        logEntries.shift();
+    }
+    if (!logPaused) {
+        renderLogEntries();
+    }
 });
 
+function renderLogEntries() {
+    const view = document.getElementById('logView');
+    const maxLevel = LOG_LEVELS.indexOf(document.getElementById('logLevelFilter').value);
+    const visible = logEntries.filter(entry => LOG_LEVELS.indexOf(entry.level) <= maxLevel);
+    if (visible.length === 0) {
+        view.innerHTML = `
+            <div class="empty-state">
+                <p>No log entries yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Stay at the bottom unless the user scrolled up to read
+    const atBottom = view.scrollTop + view.clientHeight >= view.scrollHeight - 20;
+    view.innerHTML = visible.map(entry => `
+        <div class="log-entry log-${entry.level}">
+            <span class="log-time">${new Date(entry.time).toLocaleTimeString()}</span>
+            <span class="log-level">${entry.level.toUpperCase()}</span>
+            ${entry.tag ? `<span class="log-tag">[${escapeHtml(entry.tag)}]</span>` : ''}
+            <span class="log-message">${escapeHtml(entry.message)}</span>
+        </div>
+    `).join('');
+    if (atBottom) {
+        view.scrollTop = view.scrollHeight;
+    }
+}
+
 socket.on('systemInfoUpdate', (data) => {
     document.getElementById('memoryUsage').textContent = data.memoryUsage;
     document.getElementById('systemUptime').textContent = data.systemUptime;
-    document.getElementById('streamStatus').textContent = data.streamStatus;
-    document.getElementById('streamConnectionStatus').textContent = data.streamStatus === 'Streaming' ? '🟢 Connected' : '🔴 Disconnected';
-    document.getElementById('streamConnectionStatus').className = data.streamStatus === 'Streaming' ? 'stream-status connected' : 'stream-status disconnected';
+    document.getElementById('diskFree').textContent = data.diskFree;
+    document.getElementById('diskFree').classList.toggle('warning', Boolean(data.diskLow));
+    renderStreamStatus(data.streamStatus[selectedCameraId] || 'Stopped');
+    if (data.health) {
+        lastHealth = data.health;
+        renderHealth(data.health);
+    }
 });
 
+// Readings past their HEALTH_* thresholds are highlighted and listed above the tiles
+function renderHealth(health) {
+    const warningKeys = new Set(health.warnings
+        .filter(warning => !warning.cameraId || warning.cameraId === selectedCameraId)
+        .map(warning => warning.key));
+    const setTile = (id, text, warn) => {
+        const element = document.getElementById(id);
+        element.textContent = text;
+        element.classList.toggle('warning', warn);
+    };
+
+    setTile('cpuLoad', `${health.cpu.percent}%`, warningKeys.has('cpuLoad'));
+    setTile('cpuTemperature', health.cpu.temperature !== null ? `${health.cpu.temperature} °C` : 'n/a', warningKeys.has('cpuTemperature'));
+    let throttling = 'n/a';
+    if (health.throttling) {
+        const { now, sinceBoot } = health.throttling;
+        if (now.underVoltage) throttling = 'Under-voltage';
+        else if (now.throttled || now.frequencyCapped || now.softTemperatureLimit) throttling = 'Throttled';
+        else if (Object.values(sinceBoot).some(Boolean)) throttling = 'OK (earlier)';
+        else throttling = 'OK';
+    }
+    setTile('throttling', throttling, warningKeys.has('underVoltage') || warningKeys.has('throttled'));
+    document.getElementById('memoryUsage').classList.toggle('warning', warningKeys.has('memory'));
+
+    const camera = health.cameras.find(entry => entry.id === selectedCameraId) || health.cameras[0];
+    if (camera) {
+        const { capture } = camera;
+        setTile('lastCapture', capture.lastCaptureAt ? new Date(capture.lastCaptureAt).toLocaleTimeString() : '--', warningKeys.has('captureStalled'));
+        setTile('captureSuccess', capture.successRate !== null ? `${capture.successRate}% of ${capture.attempts}` : '--', warningKeys.has('captureSuccess'));
+    }
+
+    const list = document.getElementById('healthWarnings');
+    list.innerHTML = health.warnings.map(warning => `<div>⚠️ ${escapeHtml(warning.message)}</div>`).join('');
+    list.style.display = health.warnings.length > 0 ? 'block' : 'none';
+}
+
+socket.on('streamStatusUpdate', (streamStatus, cameraId) => {
+    if (updateCameraState(cameraId, 'streamStatus', streamStatus)) {
+        renderStreamStatus(streamStatus);
+    }
+});
+
+// Today's computed capture windows, the sun times behind them and the next transition, under the settings
+function renderScheduleStatus(schedule) {
+    const clock = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const lines = [];
+    if (schedule && schedule.enabled) {
+        const windows = schedule.today.map(window => `${clock(window.start)} - ${clock(window.stop)}`);
+        lines.push(`Today: ${windows.length > 0 ? windows.join(', ') : 'no capture window'}`);
+    }
+    if (schedule && schedule.sun) {
+        const { dawn, sunrise, sunset, dusk } = schedule.sun;
+        lines.push(`Sunrise ${sunrise ? clock(sunrise) : '--'}, sunset ${sunset ? clock(sunset) : '--'} (dawn ${dawn ? clock(dawn) : '--'}, dusk ${dusk ? clock(dusk) : '--'})`);
+    }
+    const nextTransition = schedule && schedule.nextTransition;
+    if (nextTransition) {
+        const at = new Date(nextTransition.at);
+        lines.push(`Next scheduled ${nextTransition.action}: ${at.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`);
+    } else if (!schedule || !schedule.enabled) {
+        lines.push('Schedule inactive');
+    }
+    document.getElementById('scheduleStatus').innerHTML = lines.map(line => `<div>${escapeHtml(line)}</div>`).join('');
+}
+
+// Live countdown to the next frame; outside a capture this is the schedule's start time
+function renderNextCapture(data) {
+    let text = data.nextCapture;
+    if (data.nextCaptureInMs !== null && data.nextCaptureInMs !== undefined) {
+        const seconds = Math.ceil((data.nextCaptureInMs - (Date.now() - data.receivedAt)) / 1000);
+        if (seconds <= 0) {
+            text = 'now';
+        } else if (seconds < 60) {
+            text = `in ${seconds}s`;
+        } else {
+            text = `in ${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+        }
+    }
+    document.getElementById('nextCapture').textContent = text;
+}
+
+setInterval(() => {
+    const status = selectedCameraId && getCameraState(selectedCameraId).status;
+    if (status) {
+        renderNextCapture(status);
+    }
+}, 1000);
+
+// Failed captures being retried and crashed streams being restarted
+function renderWatchdogStatus(watchdog) {
+    const element = document.getElementById('watchdogStatus');
+    const lines = [];
+    if (watchdog) {
+        const { capture, stream } = watchdog;
+        const time = (iso) => new Date(iso).toLocaleTimeString();
+        if (capture.retry) {
+            lines.push(`Capture failed, retry ${capture.retry.attempt} of ${capture.retry.of} at ${time(capture.retry.at)}`);
+        }
+        if (capture.consecutiveFailures > 0) {
+            lines.push(`${capture.consecutiveFailures} of ${capture.failureThreshold} captures failed in a row (last error: ${capture.lastError ? capture.lastError.message : 'unknown'})`);
+        }
+        if (stream.restarting) {
+            lines.push(`Live preview stopped (${stream.lastExit.reason}), restarting at ${time(stream.nextRestartAt)} (attempt ${stream.restartAttempts} of ${stream.maxRestartAttempts})`);
+        } else if (stream.gaveUp) {
+            lines.push(`Live preview stopped (${stream.lastExit.reason}) and was not restarted`);
+        }
+    }
+    element.innerHTML = lines.map(line => `<div>⚠️ ${escapeHtml(line)}</div>`).join('');
+    element.style.display = lines.length > 0 ? 'block' : 'none';
+}
+
+const CAPTURE_MODE_LABELS = { interval: 'Every interval', change: 'Only changed frames', motion: 'On motion', burst: 'Burst on motion' };
+
+// Kept and skipped frames and motion triggers of the running session; nothing to show for plain interval captures
+function renderCaptureModeStatus(captureMode) {
+    const element = document.getElementById('captureModeStatus');
+    if (!captureMode || captureMode.mode === 'interval') {
+        element.style.display = 'none';
+        return;
+    }
+
+    const parts = [`${captureMode.kept} kept`];
+    if (captureMode.mode === 'change') {
+        parts.push(`${captureMode.skipped} skipped as unchanged`);
+    } else {
+        parts.push(`${captureMode.triggers} motion trigger${captureMode.triggers === 1 ? '' : 's'}`);
+    }
+    if (captureMode.lastDifference !== null) {
+        parts.push(`last difference ${captureMode.lastDifference}%`);
+    }
+    let html = `${escapeHtml(CAPTURE_MODE_LABELS[captureMode.mode] || captureMode.mode)}: ${escapeHtml(parts.join(', '))}`;
+    if (captureMode.checkError) {
+        html += `<div>⚠️ Motion check failed: ${escapeHtml(captureMode.checkError.message)}</div>`;
+    }
+    element.innerHTML = html;
+    element.style.display = 'block';
+}
+
+function formatShutter(microseconds) {
+    if (microseconds >= 1000000) return `${Math.round(microseconds / 100000) / 10}s`;
+    return `1/${Math.round(1000000 / microseconds)}s`;
+}
+
+// Shutter, gain and white balance of the running session's captures; hidden while all are automatic
+function renderExposureStatus(exposure) {
+    const element = document.getElementById('exposureStatus');
+    if (!exposure || (exposure.mode === 'auto' && !exposure.whiteBalance)) {
+        element.style.display = 'none';
+        return;
+    }
+
+    const parts = [
+        `shutter ${exposure.shutter ? formatShutter(exposure.shutter) : 'auto'}`,
+        `gain ${exposure.gain || 'auto'}`,
+        `white balance ${exposure.whiteBalance || 'auto'}`
+    ];
+    if (exposure.brightness !== null) {
+        parts.push(`brightness ${exposure.brightness} (target ${exposure.target})`);
+    }
+    const label = exposure.mode === 'ramp' ? 'Exposure ramping' : 'Exposure';
+    element.textContent = `${label}: ${parts.join(', ')}`;
+    element.style.display = 'block';
+}
+
+function renderStreamStatus(streamStatus) {
+    document.getElementById('streamStatus').textContent = streamStatus;
+    document.getElementById('streamConnectionStatus').textContent = streamStatus === 'Streaming' ? '🟢 Connected' : '🔴 Disconnected';
+    document.getElementById('streamConnectionStatus').className = streamStatus === 'Streaming' ? 'stream-status connected' : 'stream-status disconnected';
+}
+
 // MODIFIED: Now receives a stream URL instead of Base64 frames
-socket.on('liveStreamUrl', (streamUrl) => {
+socket.on('liveStreamUrl', (streamUrl, cameraId) => {
+    if (updateCameraState(cameraId, 'streamUrl', streamUrl)) {
+        renderStreamUrl(streamUrl);
+    }
+});
+
+function renderStreamUrl(streamUrl) {
     const liveStreamImg = document.getElementById('liveStream');
     const streamPlaceholder = document.getElementById('streamPlaceholder');
     const streamBtn = document.getElementById('streamBtn');
@@ -62,34 +495,57 @@ socket.on('liveStreamUrl', (streamUrl) => {
         streamBtn.classList.remove('btn-danger');
         streamBtn.classList.add('btn-primary');
     }
+}
+
+socket.on('videoGenerationStatus', (data, cameraId) => {
+    if (updateCameraState(cameraId, 'videoStatus', data)) {
+        renderVideoGenerationStatus(data);
+    }
 });
 
-socket.on('videoGenerationStatus', (data) => {
+function renderVideoGenerationStatus(data) {
+    // Renders and frame processing share the progress bar, and one blocks the other
+    isVideoJobRunning = data.status === 'in-progress';
+    renderProcessedInfo();
+
     const videoProgress = document.getElementById('videoProgress');
     const videoProgressFill = document.getElementById('videoProgressFill');
     const videoStatusText = document.getElementById('videoStatus');
     const generateBtn = document.getElementById('generateBtn');
+    const cancelVideoBtn = document.getElementById('cancelVideoBtn');
 
     if (data.status === 'in-progress') {
         videoProgress.style.display = 'block';
         videoProgressFill.style.width = `${data.progress || 0}%`;
+        videoProgressFill.classList.remove('error');
         videoStatusText.textContent = data.message;
         generateBtn.disabled = true;
+        cancelVideoBtn.style.display = 'flex';
     } else if (data.status === 'complete') {
         videoProgressFill.style.width = '100%';
         videoStatusText.textContent = data.message;
         generateBtn.disabled = false;
+        cancelVideoBtn.style.display = 'none';
         setTimeout(() => {
             videoProgress.style.display = 'none'; // Hide progress after a short delay
         }, 3000);
+    } else if (data.status === 'error' || data.status === 'cancelled') {
+        videoProgress.style.display = 'block';
+        videoProgressFill.classList.toggle('error', data.status === 'error');
+        videoStatusText.textContent = data.message;
+        generateBtn.disabled = false;
+        cancelVideoBtn.style.display = 'none';
     }
-});
+}
 
 socket.on('notification', (data) => {
     showNotification(data.message, data.type);
 });
 
-socket.on('imageListUpdate', (imageList) => {
+socket.on('imageListUpdate', (imageList, cameraId) => {
+    if (cameraId && cameraId !== selectedCameraId) {
+        return; // Requested before switching cameras
+    }
     const imagesList = document.getElementById('imagesList');
     
     if (imageList.length === 0) {
@@ -114,7 +570,62 @@ socket.on('imageListUpdate', (imageList) => {
     }
 });
 
-socket.on('imagesCleared', () => {
+socket.on('sessionListUpdate', (sessionList, cameraId) => {
+    if (updateCameraState(cameraId, 'sessionList', sessionList)) {
+        renderSessionList(sessionList);
+    }
+});
+
+function renderSessionList(sessionList) {
+    ['imageSession', 'videoSession'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        const previous = select.value;
+        select.dataset.sessions = JSON.stringify(sessionList);
+
+        select.innerHTML = sessionList.map(session => {
+            const gaps = session.gapCount ? `, ${session.gapCount} gap${session.gapCount > 1 ? 's' : ''}` : '';
+            const preset = session.preset ? `, ${escapeHtml(session.preset)}` : '';
+            const failed = session.failed ? ', failed' : '';
+            const processed = session.processed ? ', processed' : '';
+            const skipped = session.skippedSlots ? `, ${session.skippedSlots} skipped` : '';
+            const mode = session.captureMode !== 'interval' ? `, ${escapeHtml(CAPTURE_MODE_LABELS[session.captureMode] || session.captureMode)}` : '';
+            const label = `${escapeHtml(session.name)} (${session.frameCount} frames${preset}${mode}${gaps}${skipped}${processed}${failed}${session.active ? ', capturing' : ''})`;
+            return `<option value="${escapeHtml(session.id)}">${label}</option>`;
+        }).join('') + '<option value="">Unsorted images</option>';
+
+        // Keep the user's selection if it still exists, otherwise default to the newest session
+        const stillExists = Array.from(select.options).some(option => option.value === previous);
+        select.value = stillExists && select.dataset.initialized ? previous : select.options[0].value;
+        select.dataset.initialized = 'true';
+    });
+    renderProcessedInfo();
+}
+
+// Whether the session picked for rendering has processed frames, and how they were made
+function renderProcessedInfo() {
+    const select = document.getElementById('videoSession');
+    const sessions = select.dataset.sessions ? JSON.parse(select.dataset.sessions) : [];
+    const session = sessions.find(item => item.id === select.value);
+    const processed = session ? session.processed : null;
+
+    const useProcessed = document.getElementById('useProcessedFrames');
+    useProcessed.disabled = !processed;
+    if (!processed) useProcessed.checked = false;
+    document.getElementById('processBtn').disabled = !session || isVideoJobRunning;
+
+    const info = document.getElementById('processedInfo');
+    if (!processed) {
+        info.textContent = session ? 'This session has no processed frames.' : 'Only sessions can be processed.';
+        return;
+    }
+    const steps = [processed.deflicker && 'deflickered', processed.stabilize && 'stabilized'].filter(Boolean).join(' and ');
+    info.textContent = `${processed.frameCount} frames ${steps} on ${new Date(processed.processedAt).toLocaleString()}.`;
+}
+
+socket.on('imagesCleared', (data = {}, cameraId) => {
+    if ((cameraId && cameraId !== selectedCameraId) || (data.sessionId || '') !== document.getElementById('imageSession').value) {
+        return; // Another camera or session was cleared
+    }
     document.getElementById('imagesList').innerHTML = `
         <div class="empty-state">
             <div class="icon">📸</div>
@@ -123,55 +634,268 @@ socket.on('imagesCleared', () => {
     `;
 });
 
+socket.on('videoListUpdate', (videoList) => {
+    const videosList = document.getElementById('videosList');
+
+    if (videoList.length === 0) {
+        videosList.innerHTML = `
+            <div class="empty-state">
+                <div class="icon">🎥</div>
+                <p>No videos generated yet</p>
+            </div>
+        `;
+        closeVideoPlayer();
+        return;
+    }
+
+    videosList.innerHTML = videoList.map(video => {
+        const url = `/videos/${encodeURIComponent(video.filename)}`;
+        const duration = video.duration ? formatDuration(video.duration) : '--';
+        const resolution = video.width && video.height ? `${video.width}x${video.height}` : '--';
+        // A JS string literal inside an HTML attribute: JSON-quoted, then HTML-escaped
+        const filenameArg = escapeHtml(JSON.stringify(video.filename));
+        let source = 'Unknown source';
+        if (video.source) {
+            source = video.source.sessionName
+                ? `${escapeHtml(video.source.sessionName)} (${video.source.frameCount} frames)`
+                : `${video.source.frameCount} frames`;
+            if (video.source.cameraId && video.source.cameraId !== 'default') {
+                source = `${escapeHtml(video.source.cameraId)}: ${source}`;
+            }
+        }
+
+        return `
+            <div class="file-item video-item">
+                <div class="image-info">
+                    <strong>${escapeHtml(video.filename)}</strong>
+                    <div class="image-meta">
+                        <span>Duration: ${duration}</span>
+                        <span>Resolution: ${resolution}</span>
+                        <span>Size: ${(video.size / 1024 / 1024).toFixed(1)} MB</span>
+                        <span>Source: ${source}</span>
+                    </div>
+                </div>
+                <div class="video-actions">
+                    <button class="btn btn-primary btn-small" onclick="playVideo(${filenameArg})">▶️ Play</button>
+                    <a class="btn btn-success btn-small" href="${escapeHtml(url)}?download=1" download>⬇️ Download</a>
+                    <button class="btn btn-danger btn-small" onclick="deleteVideo(${filenameArg})" data-role="operator">🗑️ Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+});
+
 // Functions to emit commands to the server
-function saveConfig() {
-    const config = {
-        captureInterval: parseInt(document.getElementById('captureInterval').value),
-        imageQuality: document.getElementById('imageQuality').value,
-        streamFps: parseInt(document.getElementById('streamFps').value),
-        streamQuality: document.getElementById('streamQuality').value,
-        scheduleEnabled: document.getElementById('scheduleEnabled').checked,
-        startTime: document.getElementById('startTime').value,
-        stopTime: document.getElementById('stopTime').value,
-        videoFps: parseInt(document.getElementById('videoFps').value),
-        videoQuality: document.getElementById('videoQuality').value
-    };
-    socket.emit('saveConfig', config);
+function selectCamera(cameraId) {
+    selectedCameraId = cameraId;
+    const state = getCameraState(cameraId);
+
+    // Session selections belong to the previous camera
+    ['imageSession', 'videoSession'].forEach(selectId => delete document.getElementById(selectId).dataset.initialized);
+
+    if (state.status) renderStatus(state.status);
+    renderStreamStatus(state.streamStatus);
+    renderStreamUrl(state.streamUrl);
+    if (state.sessionList) renderSessionList(state.sessionList);
+    if (lastHealth) renderHealth(lastHealth);
+    if (state.videoStatus) {
+        renderVideoGenerationStatus(state.videoStatus);
+    } else {
+        document.getElementById('videoProgress').style.display = 'none';
+        document.getElementById('generateBtn').disabled = false;
+        document.getElementById('cancelVideoBtn').style.display = 'none';
+        isVideoJobRunning = false;
+        renderProcessedInfo();
+    }
+    document.getElementById('imagesList').innerHTML = `
+        <div class="empty-state">
+            <div class="icon">📸</div>
+            <p>Click "Refresh" to list this camera's images</p>
+        </div>
+    `;
+
+    socket.emit('refreshSessions', { cameraId });
+}
+
+// Send every editable setting by its .env name; the server reports which ones changed
+function saveSettings() {
+    const settings = {};
+    document.querySelectorAll('#settingsForm [data-setting]').forEach(input => {
+        if (input.disabled) return;
+        if (input.type === 'checkbox') {
+            settings[input.dataset.setting] = input.checked;
+        } else if (input.dataset.type === 'integer' || input.dataset.type === 'number') {
+            settings[input.dataset.setting] = input.value === '' ? input.value : Number(input.value);
+        } else {
+            settings[input.dataset.setting] = input.value;
+        }
+    });
+    document.querySelectorAll('.invalid').forEach(input => {
+        input.classList.remove('invalid');
+        input.removeAttribute('title');
+    });
+    socket.emit('saveSettings', settings);
+}
+
+function savePreset() {
+    const input = document.getElementById('presetName');
+    const name = input.value.trim();
+    if (!name) {
+        showNotification('Enter a name for the preset', 'error');
+        return;
+    }
+    socket.emit('savePreset', { name });
+    input.value = '';
+}
+
+function applyPreset() {
+    const name = document.getElementById('presetSelect').value;
+    if (name) socket.emit('applyPreset', { name });
+}
+
+function deletePreset() {
+    const name = document.getElementById('presetSelect').value;
+    if (name && confirm(`Delete the preset "${name}"?`)) {
+        socket.emit('deletePreset', { name });
+    }
+}
+
+// Read an exported presets file; presets with existing names are replaced after confirming
+function importPresets(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    file.text().then(text => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            showNotification(`${file.name} is not a valid JSON file`, 'error');
+            return;
+        }
+        const overwrite = confirm('Replace presets that already exist with the same name?');
+        socket.emit('importPresets', { data, overwrite });
+    });
+}
+
+function showConfigDiff(id) {
+    socket.emit('requestConfigDiff', { id });
+}
+
+function rollbackConfig(id) {
+    if (confirm('Restore the configuration from before this change?')) {
+        socket.emit('rollbackConfig', { id });
+    }
+}
+
+function toggleLogPause() {
+    logPaused = !logPaused;
+    document.getElementById('logPauseBtn').textContent = logPaused ? '▶️ Resume' : '⏸️ Pause';
+    if (!logPaused) {
+        renderLogEntries();
+    }
+}
+
+function clearLogView() {
+    logEntries = [];
+    renderLogEntries();
+}
+
+// History entries and log messages hold user-entered values, so they are escaped before going into innerHTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
 }
 
 function startCapture() {
-    socket.emit('startCapture');
+    const sessionName = document.getElementById('sessionName').value.trim();
+    const captureMode = document.getElementById('captureModeSelect').value;
+    socket.emit('startCapture', { cameraId: selectedCameraId, sessionName: sessionName || null, captureMode: captureMode || null });
 }
 
 function stopCapture() {
-    socket.emit('stopCapture');
+    socket.emit('stopCapture', { cameraId: selectedCameraId });
 }
 
 function toggleStream() {
-    socket.emit('toggleStream');
+    socket.emit('toggleStream', { cameraId: selectedCameraId });
 }
 
 function generateVideo() {
-    socket.emit('generateVideo');
+    socket.emit('generateVideo', {
+        cameraId: selectedCameraId,
+        sessionId: document.getElementById('videoSession').value || null,
+        applyOrientation: document.getElementById('applyOrientation').checked,
+        frames: document.getElementById('useProcessedFrames').checked ? 'processed' : 'raw'
+    });
+}
+
+function processFrames() {
+    socket.emit('processFrames', {
+        cameraId: selectedCameraId,
+        sessionId: document.getElementById('videoSession').value || null,
+        deflicker: document.getElementById('processDeflicker').checked,
+        stabilize: document.getElementById('processStabilize').checked
+    });
+}
+
+function cancelVideoGeneration() {
+    socket.emit('cancelVideoGeneration', { cameraId: selectedCameraId });
 }
 
 function refreshImages() {
-    socket.emit('refreshImages');
-    // In a real app, the server would send back the list of images
-    // For now, it just triggers a notification
+    socket.emit('refreshImages', { cameraId: selectedCameraId, sessionId: document.getElementById('imageSession').value || null });
 }
 
 function clearImages() {
+    const select = document.getElementById('imageSession');
+    const sessionLabel = select.selectedIndex >= 0 ? select.options[select.selectedIndex].text : 'this session';
     // Show a confirmation dialog (custom modal, as alert() is not allowed)
-    showCustomConfirm('Are you sure you want to clear ALL captured images?', () => {
-        socket.emit('clearImages');
+    showCustomConfirm(`Are you sure you want to clear all images in ${sessionLabel}?`, () => {
+        socket.emit('clearImages', { cameraId: selectedCameraId, sessionId: select.value || null });
     });
 }
 
 function refreshVideos() {
     socket.emit('refreshVideos');
-    // In a real app, the server would send back the list of videos
-    // For now, it just triggers a notification
+}
+
+function playVideo(filename) {
+    const videoPlayer = document.getElementById('videoPlayer');
+    videoPlayer.src = `/videos/${encodeURIComponent(filename)}`;
+    document.getElementById('videoPlayerContainer').style.display = 'block';
+    videoPlayer.play();
+}
+
+function closeVideoPlayer() {
+    const videoPlayer = document.getElementById('videoPlayer');
+    videoPlayer.pause();
+    videoPlayer.removeAttribute('src');
+    videoPlayer.load();
+    document.getElementById('videoPlayerContainer').style.display = 'none';
+}
+
+function deleteVideo(filename) {
+    showCustomConfirm(`Delete video ${filename}?`, () => {
+        const videoPlayer = document.getElementById('videoPlayer');
+        if (videoPlayer.src.endsWith(`/videos/${encodeURIComponent(filename)}`)) {
+            closeVideoPlayer();
+        }
+        socket.emit('deleteVideo', filename);
+    });
+}
+
+async function logout() {
+    await fetch('/auth/logout', { method: 'POST' });
+    socket.disconnect();
+    window.location.href = '/login.html';
+}
+
+// Format seconds as M:SS for video durations
+function formatDuration(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${s < 10 ? '0' + s : s}`;
 }
 
 // Function to simulate a custom confirmation modal
@@ -0,0 +1,253 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const log = require('../services/logger').child('api');
+
+// Camera-scoped routes; cameraId is undefined (default camera) when mounted without /cameras/:cameraId
+function createCameraRouter(controller, viewer, operator) {
+    const router = express.Router({ mergeParams: true });
+
+    router.get('/status', viewer, (req, res) => {
+        res.json(controller.getCameraStatus(req.params.cameraId));
+    });
+
+    // Capture
+    // captureMode (interval, change, motion, burst) overrides CAPTURE_MODE for this session
+    router.post('/capture/start', operator, async (req, res) => {
+        const body = req.body || {};
+        const sessionName = body.sessionName ? String(body.sessionName) : null;
+        res.json(await controller.startCapture(req.params.cameraId, sessionName, { captureMode: body.captureMode || null }));
+    });
+
+    router.post('/capture/stop', operator, (req, res) => {
+        res.json(controller.stopCapture(req.params.cameraId));
+    });
+
+    // Stream; start answers 202 because mjpg-streamer takes a moment to come up.
+    // Starting and stopping it holds the camera, so that takes an operator; viewers watch.
+    router.get('/stream', viewer, (req, res) => {
+        res.json(controller.getStreamStatus(req.params.cameraId));
+    });
+
+    router.post('/stream/start', operator, async (req, res) => {
+        res.status(202).json(await controller.startStream(req.params.cameraId));
+    });
+
+    router.post('/stream/stop', operator, async (req, res) => {
+        res.json(await controller.stopStream(req.params.cameraId));
+    });
+
+    // The live preview, relayed from mjpg-streamer so it needs a login like everything else
+    router.get('/stream/live', viewer, async (req, res) => {
+        const upstream = await controller.openStream(req.params.cameraId);
+        res.writeHead(200, {
+            'Content-Type': upstream.headers['content-type'],
+            'Cache-Control': 'no-store'
+        });
+        // pipeline ends the client's response when mjpg-streamer goes away (stopped, crashed or
+        // restarted) and drops the upstream connection when the client leaves
+        pipeline(upstream, res, (error) => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                log.warn(`Stream relay for ${req.originalUrl} ended:`, error.message);
+            }
+        });
+    });
+
+    router.get('/stream/snapshot', viewer, async (req, res) => {
+        const image = await controller.getStreamSnapshot(req.params.cameraId);
+        res.type('image/jpeg').send(image);
+    });
+
+    // Sessions and images; no sessionId means loose images from before sessions existed
+    router.get('/sessions', viewer, async (req, res) => {
+        res.json(await controller.listSessions(req.params.cameraId));
+    });
+
+    router.get('/images', viewer, async (req, res) => {
+        res.json(await controller.listImages(req.params.cameraId, req.query.sessionId || null));
+    });
+
+    router.delete('/images', operator, async (req, res) => {
+        res.json(await controller.clearImages(req.params.cameraId, req.query.sessionId || null));
+    });
+
+    // Render jobs; poll GET /renders/:jobId for progress. frames: raw (default) or processed
+    router.post('/renders', operator, (req, res) => {
+        const body = req.body || {};
+        const job = controller.startRender(req.params.cameraId, {
+            sessionId: body.sessionId || null,
+            applyOrientation: Boolean(body.applyOrientation),
+            frames: body.frames || 'raw'
+        });
+        res.status(202).json(controller.serializeRenderJob(job));
+    });
+
+    // Deflicker and/or stabilize a session's frames for rendering; tracked and cancelled like a render
+    router.post('/processing', operator, (req, res) => {
+        const body = req.body || {};
+        const job = controller.startProcessing(req.params.cameraId, {
+            sessionId: body.sessionId || null,
+            deflicker: Boolean(body.deflicker),
+            stabilize: Boolean(body.stabilize)
+        });
+        res.status(202).json(controller.serializeRenderJob(job));
+    });
+
+    return router;
+}
+
+/**
+ * Versioned JSON API (mounted at /api/v1) mirroring the Socket.IO commands.
+ * Camera routes live under /cameras/:cameraId and, for the default camera, at the top level.
+ * Errors are returned as { error } with the status set by the controller.
+ * Reads need the viewer role; anything that changes captures, images, videos or config needs operator.
+ */
+function createApiRouter(controller, authService) {
+    const router = express.Router();
+    const viewer = authService.requireRole('viewer');
+    const operator = authService.requireRole('operator');
+    router.use(express.json());
+
+    router.get('/status', viewer, (req, res) => {
+        res.json({ cameras: controller.getCameras().map(camera => controller.getCameraStatus(camera.id)) });
+    });
+
+    router.get('/cameras', viewer, (req, res) => {
+        res.json(controller.getCameras());
+    });
+
+    // CPU, temperature, throttling, memory, disk and capture/stream health with threshold warnings
+    router.get('/health', viewer, async (req, res) => {
+        res.json(await controller.getHealth());
+    });
+
+    // Config uses the same keys as the dashboard's saveConfig event
+    router.get('/config', viewer, (req, res) => {
+        res.json(controller.getConfig());
+    });
+
+    router.patch('/config', operator, async (req, res) => {
+        res.json(await controller.updateConfig(req.body || {}, req.user.username));
+    });
+
+    // Previous .env versions; GET one to see what rolling back to it would change
+    router.get('/config/history', viewer, async (req, res) => {
+        res.json(await controller.getConfigHistory());
+    });
+
+    router.get('/config/history/:id', viewer, async (req, res) => {
+        res.json(await controller.getConfigHistoryEntry(req.params.id));
+    });
+
+    router.post('/config/history/:id/rollback', operator, async (req, res) => {
+        res.json(await controller.rollbackConfig(req.params.id, req.user.username));
+    });
+
+    // Named presets of the shoot settings (interval, quality, video, schedule, retention)
+    router.get('/presets', viewer, async (req, res) => {
+        res.json(await controller.listPresets());
+    });
+
+    router.post('/presets', operator, async (req, res) => {
+        res.status(201).json(await controller.savePreset(req.body && req.body.name));
+    });
+
+    router.get('/presets/export', viewer, async (req, res) => {
+        const names = req.query.name ? [].concat(req.query.name) : null;
+        res.attachment('timelapse-presets.json').json(await controller.exportPresets(names));
+    });
+
+    router.post('/presets/import', operator, async (req, res) => {
+        res.json(await controller.importPresets(req.body, { overwrite: req.query.overwrite === 'true' }));
+    });
+
+    router.post('/presets/:name/apply', operator, async (req, res) => {
+        res.json(await controller.applyPreset(req.params.name, req.user.username));
+    });
+
+    router.delete('/presets/:name', operator, async (req, res) => {
+        res.json(await controller.deletePreset(req.params.name));
+    });
+
+    // Every setting by its .env name, with the schema the settings page is built from
+    router.get('/settings', viewer, (req, res) => {
+        res.json(controller.getSettings());
+    });
+
+    router.patch('/settings', operator, async (req, res) => {
+        res.json(await controller.updateSettings(req.body || {}, req.user.username));
+    });
+
+    // Video library (shared by all cameras)
+    router.get('/videos', viewer, async (req, res) => {
+        res.json(await controller.listVideos());
+    });
+
+    router.delete('/videos/:filename', operator, async (req, res) => {
+        res.json(await controller.deleteVideo(req.params.filename));
+    });
+
+    router.get('/renders', viewer, (req, res) => {
+        res.json(controller.getRenderJobs());
+    });
+
+    router.get('/renders/:jobId', viewer, (req, res) => {
+        res.json(controller.getRenderJob(req.params.jobId));
+    });
+
+    router.delete('/renders/:jobId', operator, (req, res) => {
+        res.json(controller.cancelRenderJob(req.params.jobId));
+    });
+
+    const cameraRouter = createCameraRouter(controller, viewer, operator);
+    router.use('/cameras/:cameraId', cameraRouter);
+    router.use('/', cameraRouter);
+
+    router.use((req, res) => {
+        res.status(404).json({ error: `No API route for ${req.method} ${req.originalUrl}` });
+    });
+
+    router.use(handleApiError);
+    return router;
+}
+
+/**
+ * The unversioned endpoints listed in the README (/api/start, /api/stream/*), for the default camera
+ */
+function createLegacyApiRouter(controller, authService) {
+    const router = express.Router();
+    const viewer = authService.requireRole('viewer');
+    const operator = authService.requireRole('operator');
+    router.use(express.json());
+
+    router.post('/start', operator, async (req, res) => {
+        const sessionName = req.body && req.body.sessionName ? String(req.body.sessionName) : null;
+        res.json(await controller.startCapture(null, sessionName));
+    });
+    router.post('/stop', operator, (req, res) => res.json(controller.stopCapture(null)));
+    router.get('/status', viewer, (req, res) => res.json(controller.getCameraStatus(null)));
+
+    router.post('/stream/start', operator, async (req, res) => res.status(202).json(await controller.startStream(null)));
+    router.post('/stream/stop', operator, async (req, res) => res.json(await controller.stopStream(null)));
+    router.get('/stream/status', viewer, (req, res) => res.json(controller.getStreamStatus(null)));
+    router.get('/stream/snapshot', viewer, async (req, res) => {
+        res.type('image/jpeg').send(await controller.getStreamSnapshot(null));
+    });
+
+    router.use(handleApiError);
+    return router;
+}
+
+// Express recognises error handlers by their four arguments, so next stays in the signature
+function handleApiError(error, req, res, next) {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+        log.error(`API ${req.method} ${req.originalUrl} failed:`, error);
+    }
+    // Config validation failures also list the offending fields
+    res.status(status).json(error.errors ? { error: error.message, errors: error.errors } : { error: error.message });
+}
+
+module.exports = {
+    createApiRouter,
+    createLegacyApiRouter
+};
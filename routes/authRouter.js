@@ -0,0 +1,47 @@
+const express = require('express');
+
+/**
+ * Login/logout for the dashboard (mounted at /auth). A successful login sets an HttpOnly session cookie
+ * that the page, the REST API and the Socket.IO handshake all accept.
+ */
+function createAuthRouter(authService) {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        try {
+            const user = await authService.login(username, password, req.ip);
+            if (!user) {
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+            res.setHeader('Set-Cookie', authService.buildSessionCookie(authService.createSessionToken(user), req.secure));
+            res.json(user);
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    router.post('/logout', (req, res) => {
+        res.setHeader('Set-Cookie', authService.buildLogoutCookie());
+        res.json({ ok: true });
+    });
+
+    router.get('/me', (req, res) => {
+        const user = authService.authenticateRequest(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        res.json({ ...user, authEnabled: authService.enabled });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAuthRouter
+};
@@ -0,0 +1,24 @@
+const express = require('express');
+const path = require('path');
+
+// The dashboard's own files. They sit in the project directory next to .env, auth.json
+// and logs/, so they are listed one by one instead of serving the directory.
+const DASHBOARD_FILES = ['index.html', 'login.html', 'styles.css', 'api.js', 'ui.js', 'app.js'];
+
+/**
+ * The dashboard page and its assets from rootDir; any other path falls through (404)
+ */
+function createDashboardRouter(rootDir) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => res.sendFile(path.join(rootDir, 'index.html')));
+    DASHBOARD_FILES.forEach(file => {
+        router.get(`/${file}`, (req, res) => res.sendFile(path.join(rootDir, file)));
+    });
+
+    return router;
+}
+
+module.exports = {
+    createDashboardRouter
+};
@@ -0,0 +1,125 @@
+// scripts/users.js
+// Manage dashboard accounts and API keys stored in AUTH_FILE. Run with `npm run users -- <command>`.
+// A running server picks up changes within a few seconds.
+const readline = require('readline');
+const ConfigService = require('../services/configService');
+const AuthService = require('../services/authService');
+
+const USAGE = `Usage: npm run users -- <command>
+
+Commands:
+  list                          Show accounts and API keys
+  add <username> [role]         Create an account (role: ${AuthService.ROLES.join(' or ')}, default viewer)
+  passwd <username>             Change a password and sign the user out everywhere
+  role <username> <role>        Change an account's role
+  remove <username>             Delete an account
+  add-key <name> [role]         Create an API key (default operator); the key is shown once
+  remove-key <name>             Revoke an API key`;
+
+// Ask for a new password twice without echoing it to the terminal. Lines are queued so a
+// password piped on stdin works as well as typing it.
+async function promptNewPassword() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+    rl._writeToOutput = () => {}; // Swallow the echo of typed characters
+    const lines = [];
+    let waiting = null;
+    const deliver = (line) => {
+        if (!waiting) return lines.push(line);
+        const resolve = waiting;
+        waiting = null;
+        resolve(line);
+    };
+    rl.on('line', deliver);
+    rl.on('close', () => waiting && deliver(null));
+
+    const ask = (question) => {
+        process.stdout.write(question);
+        return new Promise(resolve => {
+            if (lines.length > 0) return resolve(lines.shift());
+            waiting = resolve;
+        }).then(answer => {
+            process.stdout.write('\n');
+            return answer;
+        });
+    };
+
+    try {
+        const password = await ask('Password: ');
+        const confirmation = await ask('Repeat password: ');
+        if (password === null || password !== confirmation) {
+            throw new Error('Passwords do not match');
+        }
+        return password;
+    } finally {
+        rl.close();
+    }
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!command || command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return;
+    }
+
+    const config = await new ConfigService().loadConfig();
+    const auth = new AuthService(config);
+    await auth.load();
+
+    switch (command) {
+        case 'list': {
+            const users = auth.listUsers();
+            const keys = auth.listApiKeys();
+            console.log(users.length > 0 ? 'Accounts:' : 'No accounts.');
+            users.forEach(user => console.log(`  ${user.username.padEnd(24)} ${user.role.padEnd(10)} created ${user.createdAt}`));
+            console.log(keys.length > 0 ? 'API keys:' : 'No API keys.');
+            keys.forEach(key => console.log(`  ${key.name.padEnd(24)} ${key.role.padEnd(10)} created ${key.createdAt}`));
+            break;
+        }
+        case 'add': {
+            const [username, role = 'viewer'] = args;
+            if (!username) throw new Error('add needs a username');
+            auth.validateRole(role);
+            const user = await auth.addUser(username, await promptNewPassword(), role);
+            console.log(`Created ${user.role} account "${user.username}"`);
+            break;
+        }
+        case 'passwd': {
+            const [username] = args;
+            if (!auth.findUser(username)) throw new Error(`Unknown user "${username}"`);
+            await auth.setPassword(username, await promptNewPassword());
+            console.log(`Password changed for "${username}"`);
+            break;
+        }
+        case 'role': {
+            const [username, role] = args;
+            await auth.setRole(username, role);
+            console.log(`"${username}" is now ${role === 'operator' ? 'an' : 'a'} ${role}`);
+            break;
+        }
+        case 'remove': {
+            await auth.removeUser(args[0]);
+            console.log(`Removed "${args[0]}"`);
+            break;
+        }
+        case 'add-key': {
+            const [name, role = 'operator'] = args;
+            const key = await auth.addApiKey(name, role);
+            console.log(`Created ${role} API key "${name}". Store it now, it cannot be shown again:`);
+            console.log(key);
+            break;
+        }
+        case 'remove-key': {
+            await auth.removeApiKey(args[0]);
+            console.log(`Revoked API key "${args[0]}"`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
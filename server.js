@@ -2,29 +2,23 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const path = require('path');
-const { spawn } = require('child_process');
 const os = require('os'); // Import the 'os' module
-const CameraService = require('./services/cameraService');
 const ConfigService = require('./services/configService');
+const TimelapseController = require('./services/timelapseController');
+const AuthService = require('./services/authService');
+const NetworkPolicy = require('./services/networkPolicy');
+const { formatTime, formatBytes } = require('./services/formatUtils');
+const { createApiRouter, createLegacyApiRouter } = require('./routes/apiRouter');
+const { createAuthRouter } = require('./routes/authRouter');
+const { createDashboardRouter } = require('./routes/dashboardRouter');
+const logger = require('./services/logger');
+
+const log = logger.child('server');
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server);
-
-// IMPORTANT: Set the absolute path to your mjpg_streamer executable
-// You might find it in /usr/local/bin/mjpg_streamer or within the directory you compiled it.
-// Replace '/path/to/your/mjpg_streamer' with the actual path.
-const MJPEG_STREAMER_PATH = '/usr/local/bin/mjpg_streamer'; // Common default install location
-// If you compiled it in your home directory, it might be something like:
-// const MJPEG_STREAMER_PATH = '/home/pi/mjpg-streamer/mjpg-streamer-experimental/mjpg_streamer';
-
-// IMPORTANT: Set the absolute path to mjpeg-streamer's www directory
-// This is crucial for the output_http.so plugin to serve its web interface (and the stream endpoint)
-// It's often ./www relative to the mjpg_streamer executable, or /usr/local/share/mjpg-streamer/www/
-const MJPEG_STREAMER_WWW_PATH = '/usr/local/share/mjpg-streamer/www/'; // Common default install location
-// If you compiled it in your home directory, it might be something like:
-// const MJPEG_STREAMER_WWW_PATH = '/home/pi/mjpg-streamer/mjpg-streamer-experimental/www/';
+
+// mjpg-streamer paths, port and input plugin come from MJPG_STREAMER_* / MJPG_INPUT_* in .env
 
 // Function to get the server's local IP address
 function getServerIpAddress() {
@@ -40,336 +34,471 @@ function getServerIpAddress() {
     return 'localhost'; // Fallback if no external IP is found
 }
 
-// Helper function to format time (seconds to HH:MM:SS)
-function formatTime(seconds) {
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-    return [h, m, s]
-        .map(v => v < 10 ? '0' + v : v)
-        .join(':');
-}
+// How often retention and free-space checks run outside of captures
+const STORAGE_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+// Static files a signed-out browser may load (everything else needs at least the viewer role)
+const PUBLIC_PATHS = ['/login.html', '/styles.css'];
 
 // Initialize configuration service
 const configService = new ConfigService();
-let fullConfig;
-let currentConfig; // Legacy config format for web interface compatibility
 
 // Initialize the application asynchronously
 async function initializeApp() {
     try {
         // Load configuration from environment variables
-        fullConfig = await configService.loadConfig();
-        currentConfig = configService.getLegacyConfig(fullConfig);
+        const fullConfig = await configService.loadConfig();
+        logger.configure({ level: fullConfig.logLevel, file: fullConfig.logFile });
 
         const PORT = fullConfig.port;
-        const SERVER_IP_ADDRESS = getServerIpAddress();
-        console.log(`Node.js server running on: ${SERVER_IP_ADDRESS}:${PORT}`);
+        // Stream URLs point at HOST when the server is bound to a single address
+        const SERVER_IP_ADDRESS = NetworkPolicy.isWildcardAddress(fullConfig.host) ? getServerIpAddress() : fullConfig.host;
+        log.info(`Node.js server running on: ${SERVER_IP_ADDRESS}:${PORT}`);
 
-        // Serve static files from the current directory
-        app.use(express.static(path.join(__dirname)));
+        // HOST, CORS_ORIGIN and ENABLE_REMOTE_ACCESS for Express and Socket.IO
+        const networkPolicy = new NetworkPolicy(fullConfig);
+        app.use(networkPolicy.middleware());
+        const io = socketIo(server, {
+            cors: networkPolicy.getSocketCorsOptions(),
+            allowRequest: networkPolicy.allowSocketRequest()
+        });
 
-        // Initialize camera service with full config
-        const cameraService = new CameraService();
-        let captureStatus = 'Stopped';
+        // Accounts, API keys and session cookies
+        const authService = new AuthService(fullConfig);
+        await authService.load();
+        authService.watch();
+        if (!authService.enabled) {
+            log.warn('Authentication is disabled (AUTH_ENABLED=false); anyone on the network can control the cameras');
+        } else if (!authService.hasAccounts()) {
+            log.warn('No accounts configured. Create one with: npm run users -- add <username> operator');
+        }
 
-        // --- Socket.IO Connection Handling ---
-        io.on('connection', (socket) => {
-            console.log('A user connected:', socket.id);
-
-            // Send initial status and config to the newly connected client
-            const status = cameraService.getStatus();
-            socket.emit('statusUpdate', {
-                captureStatus: status.isCapturing ? 'Running' : 'Stopped',
-                imageCount: status.imageCount,
-                sessionTime: status.sessionTime,
-                nextCapture: status.isCapturing ? `in ${currentConfig.captureInterval}s` : '--'
-            });
-            socket.emit('configUpdate', currentConfig);
-            // Also send the current stream status and URL if streaming is active
-            if (cameraService.isStreamActive()) {
-                socket.emit('streamStatusUpdate', 'Streaming');
-                // Now using the server's actual IP address
-                socket.emit('liveStreamUrl', `http://${SERVER_IP_ADDRESS}:8080/?action=stream`);
+        // Cameras, captures, streams and renders; shared by the Socket.IO handlers and the REST API
+        const controller = new TimelapseController({
+            io,
+            configService,
+            fullConfig
+        });
+
+        // Login/logout and the JSON API for scripts and home automation
+        app.use('/auth', createAuthRouter(authService));
+        app.use('/api/v1', createApiRouter(controller, authService));
+        app.use('/api', createLegacyApiRouter(controller, authService));
+
+        // Everything below (dashboard, captures, videos) needs a signed-in viewer
+        app.use((req, res, next) => {
+            if (PUBLIC_PATHS.includes(req.path)) return next();
+
+            if (authService.authenticateRequest(req)) return next();
+            if (req.method === 'GET' && (req.path === '/' || req.path.endsWith('.html'))) {
+                return res.redirect('/login.html');
+            }
+            res.status(401).json({ error: 'Authentication required' });
+        });
+
+        // Serve generated videos; sendFile handles Range requests for in-browser seeking
+        app.get('/videos/:filename', (req, res) => {
+            let filepath;
+            try {
+                filepath = controller.videoLibrary.resolveVideoPath(req.params.filename);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            const sendCallback = (error) => {
+                if (error && !res.headersSent) {
+                    res.status(error.status || 404).json({ error: 'Video not found' });
+                }
+            };
+
+            if (req.query.download !== undefined) {
+                res.download(filepath, req.params.filename, sendCallback);
             } else {
-                socket.emit('streamStatusUpdate', 'Stopped');
-                socket.emit('liveStreamUrl', ''); // Clear URL if not streaming
+                res.sendFile(filepath, { acceptRanges: true }, sendCallback);
+            }
+        });
+
+        // The dashboard's pages and assets; nothing else in this directory (.env, auth.json, logs/) is served
+        app.use(createDashboardRouter(__dirname));
+
+        // --- Socket.IO Connection Handling ---
+        // The handshake carries the session cookie (or an API key in auth.apiKey)
+        io.use((socket, next) => {
+            const user = authService.authenticateSocket(socket.handshake);
+            if (!user) {
+                return next(new Error('Authentication required'));
             }
+            socket.data.user = user;
+            next();
+        });
+
+        io.on('connection', (socket) => {
+            log.info(`A user connected: ${socket.id} (${socket.data.user.username}, ${socket.data.user.role})`);
+
+            // Report a failed command to the requesting client; 409s (already running etc.) are informational
+            const notifyError = (error, prefix = '') => {
+                if (error.status === 409) {
+                    socket.emit('notification', { message: error.message, type: 'info' });
+                } else {
+                    socket.emit('notification', { message: `${prefix}${error.message}`, type: 'error' });
+                }
+            };
+
+            // Register a handler that only operators may trigger. Credentials are re-checked on every
+            // command so removed accounts, changed passwords and role changes apply to open dashboards.
+            const onOperator = (event, handler) => {
+                socket.on(event, (...args) => {
+                    const user = authService.authenticateSocket(socket.handshake);
+                    if (!authService.hasRole(user, 'operator')) {
+                        socket.emit('notification', { message: 'Only operators can do that.', type: 'error' });
+                        return;
+                    }
+                    socket.data.user = user;
+                    return handler(...args);
+                });
+            };
+
+            // Tell the client what a settings change or rollback still needs before it applies
+            const notifySettingsChange = (summary, changed, restartRequired) => {
+                const names = (ids) => ids.map(id => controller.getCamera(id).name).join(', ');
+                const notices = [];
+                if (restartRequired.server) notices.push('restart the server');
+                if (restartRequired.stream.length > 0) notices.push(`restart the live preview on ${names(restartRequired.stream)}`);
+                if (restartRequired.capture.length > 0) notices.push(`restart the capture on ${names(restartRequired.capture)}`);
+
+                if (changed.length === 0) {
+                    socket.emit('notification', { message: 'No settings changed.', type: 'info' });
+                } else if (notices.length > 0) {
+                    socket.emit('notification', { message: `${summary}; ${notices.join(' and ')} to apply them.`, type: 'warning' });
+                } else {
+                    socket.emit('notification', { message: `${summary}.`, type: 'success' });
+                }
+            };
+
+            // Label messages for the camera a command targeted
+            const labelFor = (options = {}) => {
+                try {
+                    return controller.cameraLabel(controller.getCamera(options.cameraId));
+                } catch (error) {
+                    return '';
+                }
+            };
+
+            // Send the signed-in user, initial status, config, stream state and libraries to the newly connected client
+            socket.emit('authUpdate', { ...socket.data.user, authEnabled: authService.enabled });
+            controller.sendInitialState(socket);
 
             // Handle config saving with persistence
-            socket.on('saveConfig', async (config) => {
+            onOperator('saveConfig', async (config) => {
                 try {
-                    console.log('Saving config:', config);
-                    
-                    // Update configuration persistently using ConfigService
-                    await configService.updateConfig(config);
-                    
-                    // Reload the full configuration
-                    fullConfig = await configService.loadConfig();
-                    currentConfig = configService.getLegacyConfig(fullConfig);
-                    
-                    // Update all clients with new config
-                    io.emit('configUpdate', currentConfig);
+                    await controller.updateConfig(config, socket.data.user.username);
                     socket.emit('notification', { message: 'Configuration saved and persisted!', type: 'success' });
                 } catch (error) {
-                    console.error('Error saving configuration:', error);
-                    socket.emit('notification', { message: `Failed to save configuration: ${error.message}`, type: 'error' });
+                    if (error.errors) {
+                        // Field-level problems go to the form; nothing was saved
+                        socket.emit('configValidationError', error.errors);
+                        socket.emit('notification', { message: `Configuration not saved: ${error.errors.map(e => `${e.field} ${e.message}`).join('; ')}`, type: 'error' });
+                        return;
+                    }
+                    log.error('Error saving configuration:', error);
+                    notifyError(error, 'Failed to save configuration: ');
                 }
             });
 
-            // Handle start capture command
-            socket.on('startCapture', async () => {
-                const status = cameraService.getStatus();
-                if (!status.isCapturing) {
-                    try {
-                        captureStatus = 'Running';
-                        
-                        // No need to manually set stream process - CameraService manages it internally
-                        
-                        await cameraService.startTimelapse(
-                            currentConfig,
-                            // onImageCaptured callback
-                            (captureData) => {
-                                io.emit('statusUpdate', {
-                                    captureStatus: 'Running',
-                                    imageCount: captureData.imageCount,
-                                    sessionTime: captureData.sessionTime,
-                                    nextCapture: `in ${currentConfig.captureInterval}s`
-                                });
-                            },
-                            // onError callback
-                            (error) => {
-                                console.error('Timelapse capture error:', error);
-                                captureStatus = 'Stopped';
-                                io.emit('statusUpdate', {
-                                    captureStatus: 'Stopped',
-                                    imageCount: cameraService.getStatus().imageCount,
-                                    sessionTime: cameraService.getStatus().sessionTime,
-                                    nextCapture: '--'
-                                });
-                                socket.emit('notification', { 
-                                    message: `Capture failed: ${error.message}`, 
-                                    type: 'error' 
-                                });
-                            },
-                            // onStreamNotification callback
-                            (type, message) => {
-                                if (type === 'stream-paused') {
-                                    io.emit('streamStatusUpdate', 'Paused for capture');
-                                    io.emit('notification', { message, type: 'info' });
-                                } else if (type === 'stream-resumed') {
-                                    io.emit('streamStatusUpdate', 'Streaming');
-                                    io.emit('notification', { message, type: 'success' });
-                                } else if (type === 'stream-ready') {
-                                    // New handler for when stream is actually ready
-                                    const streamUrl = `http://${SERVER_IP_ADDRESS}:8080/?action=stream`;
-                                    io.emit('streamStatusUpdate', 'Streaming');
-                                    io.emit('liveStreamUrl', streamUrl);
-                                    io.emit('notification', { message, type: 'success' });
-                                } else if (type === 'stream-error') {
-                                    io.emit('streamStatusUpdate', 'Stopped');
-                                    io.emit('liveStreamUrl', '');
-                                    io.emit('notification', { message, type: 'error' });
-                                }
-                            }
-                        );
-
-                        const newStatus = cameraService.getStatus();
-                        io.emit('statusUpdate', {
-                            captureStatus: 'Running',
-                            imageCount: newStatus.imageCount,
-                            sessionTime: newStatus.sessionTime,
-                            nextCapture: `in ${currentConfig.captureInterval}s`
-                        });
-                        socket.emit('notification', { message: 'Time-lapse capture started with fswebcam!', type: 'success' });
-                    } catch (error) {
-                        console.error('Failed to start timelapse:', error);
-                        captureStatus = 'Stopped';
-                        socket.emit('notification', { 
-                            message: `Failed to start capture: ${error.message}`, 
-                            type: 'error' 
-                        });
+            // Settings page: .env names, applied right away; running streams/captures are told to restart
+            onOperator('saveSettings', async (settings) => {
+                try {
+                    const { changed, restartRequired } = await controller.updateSettings(settings, socket.data.user.username);
+                    notifySettingsChange(`Saved ${changed.length} setting${changed.length === 1 ? '' : 's'}`, changed, restartRequired);
+                } catch (error) {
+                    if (error.errors) {
+                        socket.emit('configValidationError', error.errors);
+                        socket.emit('notification', { message: `Settings not saved: ${error.errors.map(e => `${e.field} ${e.message}`).join('; ')}`, type: 'error' });
+                        return;
                     }
-                } else {
-                    socket.emit('notification', { message: 'Capture is already running.', type: 'info' });
+                    log.error('Error saving settings:', error);
+                    notifyError(error, 'Failed to save settings: ');
                 }
             });
 
-            // Handle stop capture command
-            socket.on('stopCapture', () => {
-                const status = cameraService.getStatus();
-                if (status.isCapturing) {
-                    console.log('Stopping timelapse capture...');
-                    const stopped = cameraService.stopTimelapse();
-                    
-                    if (stopped) {
-                        captureStatus = 'Stopped';
-                        const finalStatus = cameraService.getStatus();
-                        
-                        io.emit('statusUpdate', {
-                            captureStatus: 'Stopped',
-                            imageCount: finalStatus.imageCount,
-                            sessionTime: finalStatus.sessionTime,
-                            nextCapture: '--'
-                        });
-                        socket.emit('notification', { message: 'Time-lapse capture stopped.', type: 'success' });
+            // Presets; exports are downloaded from /api/v1/presets/export
+            onOperator('savePreset', async (options = {}) => {
+                try {
+                    const preset = await controller.savePreset(options.name);
+                    socket.emit('notification', { message: `Saved preset "${preset.name}".`, type: 'success' });
+                } catch (error) {
+                    notifyError(error, 'Failed to save preset: ');
+                }
+            });
+
+            onOperator('applyPreset', async (options = {}) => {
+                try {
+                    const { preset, changed, restartRequired } = await controller.applyPreset(options.name, socket.data.user.username);
+                    notifySettingsChange(`Applied preset "${preset.name}"`, changed, restartRequired);
+                } catch (error) {
+                    if (error.errors) {
+                        socket.emit('notification', { message: `Cannot apply preset: ${error.errors.map(e => `${e.field} ${e.message}`).join('; ')}`, type: 'error' });
+                        return;
                     }
-                } else {
-                    socket.emit('notification', { message: 'Capture is not running.', type: 'info' });
+                    notifyError(error, 'Failed to apply preset: ');
+                }
+            });
+
+            onOperator('deletePreset', async (options = {}) => {
+                try {
+                    await controller.deletePreset(options.name);
+                    socket.emit('notification', { message: `Deleted preset "${options.name}".`, type: 'success' });
+                } catch (error) {
+                    notifyError(error, 'Failed to delete preset: ');
+                }
+            });
+
+            onOperator('importPresets', async (options = {}) => {
+                try {
+                    const { imported, skipped } = await controller.importPresets(options.data, { overwrite: Boolean(options.overwrite) });
+                    const skippedNote = skipped.length > 0 ? ` Skipped existing: ${skipped.join(', ')}.` : '';
+                    socket.emit('notification', { message: `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}.${skippedNote}`, type: 'success' });
+                } catch (error) {
+                    const message = error.errors ? error.errors.map(e => `${e.field} ${e.message}`).join('; ') : error.message;
+                    socket.emit('notification', { message: `Import failed: ${message}`, type: 'error' });
+                }
+            });
+
+            // Config history: the diff is only sent to the client that asked
+            socket.on('requestConfigDiff', async (options = {}) => {
+                try {
+                    socket.emit('configDiff', await controller.getConfigHistoryEntry(options.id));
+                } catch (error) {
+                    notifyError(error, 'Failed to load config history: ');
+                }
+            });
+
+            onOperator('rollbackConfig', async (options = {}) => {
+                try {
+                    const { changed, restartRequired } = await controller.rollbackConfig(options.id, socket.data.user.username);
+                    notifySettingsChange(`Rolled back ${changed.length} setting${changed.length === 1 ? '' : 's'}`, changed, restartRequired);
+                } catch (error) {
+                    if (error.errors) {
+                        socket.emit('notification', { message: `Cannot roll back: ${error.errors.map(e => `${e.field} ${e.message}`).join('; ')}`, type: 'error' });
+                        return;
+                    }
+                    log.error('Error rolling back configuration:', error);
+                    notifyError(error, 'Failed to roll back configuration: ');
+                }
+            });
+
+            // Handle start capture command
+            onOperator('startCapture', async (options = {}) => {
+                try {
+                    await controller.startCapture(options.cameraId, options.sessionName, { captureMode: options.captureMode || null });
+                    const camera = controller.getCamera(options.cameraId);
+                    socket.emit('notification', { message: `${labelFor(options)}Time-lapse capture started with ${camera.cameraService.captureBackend.name}!`, type: 'success' });
+                } catch (error) {
+                    log.error('Failed to start timelapse:', error);
+                    notifyError(error, `${labelFor(options)}Failed to start capture: `);
+                }
+            });
+
+            // Handle stop capture command
+            onOperator('stopCapture', (options = {}) => {
+                try {
+                    controller.stopCapture(options.cameraId);
+                    socket.emit('notification', { message: `${labelFor(options)}Time-lapse capture stopped.`, type: 'success' });
+                } catch (error) {
+                    notifyError(error);
                 }
             });
 
             // Handle toggle stream command
-            let streamReadyEmitted = false; // Flag to prevent multiple URL emissions
-            socket.on('toggleStream', async () => {
+            onOperator('toggleStream', async (options = {}) => {
                 try {
-                    if (!cameraService.isStreamActive()) {
-                        // Start stream using centralized method
-                        await cameraService.startStream(currentConfig, (event, message) => {
+                    const label = labelFor(options);
+                    if (controller.getStreamStatus(options.cameraId).status === 'Stopped') {
+                        await controller.startStream(options.cameraId, (event, message) => {
                             if (event === 'stream-ready') {
-                                const streamUrl = `http://${SERVER_IP_ADDRESS}:8080/?action=stream`;
-                                io.emit('streamStatusUpdate', 'Streaming');
-                                io.emit('liveStreamUrl', streamUrl);
-                                socket.emit('notification', { message: 'Live preview started!', type: 'success' });
-                                streamReadyEmitted = true;
+                                socket.emit('notification', { message: `${label}Live preview started!`, type: 'success' });
                             } else if (event === 'stream-error') {
-                                io.emit('streamStatusUpdate', 'Stopped');
-                                io.emit('liveStreamUrl', '');
-                                socket.emit('notification', { message: `Stream error: ${message}`, type: 'error' });
-                            } else if (event === 'stream-stopped') {
-                                io.emit('streamStatusUpdate', 'Stopped');
-                                io.emit('liveStreamUrl', '');
-                                streamReadyEmitted = false;
+                                socket.emit('notification', { message: `${label}Stream error: ${message}`, type: 'error' });
                             }
                         });
                     } else {
-                        // Stop stream using centralized method
-                        await cameraService.stopStream();
-                        io.emit('streamStatusUpdate', 'Stopped');
-                        io.emit('liveStreamUrl', '');
-                        socket.emit('notification', { message: 'Live preview stopped.', type: 'success' });
-                        streamReadyEmitted = false;
+                        await controller.stopStream(options.cameraId);
+                        socket.emit('notification', { message: `${label}Live preview stopped.`, type: 'success' });
                     }
                 } catch (error) {
-                    console.error('Stream toggle error:', error);
-                    socket.emit('notification', { message: error.message, type: 'error' });
+                    log.error('Stream toggle error:', error);
+                    notifyError(error);
                 }
             });
 
             // Handle video generation
-            socket.on('generateVideo', async () => {
+            onOperator('generateVideo', async (options = {}) => {
+                try {
+                    const job = controller.startRender(options.cameraId, options);
+                    const result = await job.completion;
+
+                    if (result.status === 'complete') {
+                        socket.emit('notification', { message: `Time-lapse video generated: ${result.filename}`, type: 'success' });
+                    } else if (result.status === 'cancelled') {
+                        socket.emit('notification', { message: result.message, type: 'info' });
+                    } else {
+                        socket.emit('notification', { message: `${labelFor(options)}${result.message}`, type: 'error' });
+                    }
+                } catch (error) {
+                    notifyError(error);
+                }
+            });
+
+            // Deflicker/stabilize a session's frames; progress arrives as videoGenerationStatus like a render
+            onOperator('processFrames', async (options = {}) => {
+                try {
+                    const job = controller.startProcessing(options.cameraId, options);
+                    const result = await job.completion;
+
+                    if (result.status === 'complete') {
+                        socket.emit('notification', { message: `${labelFor(options)}${result.message}`, type: 'success' });
+                    } else if (result.status === 'cancelled') {
+                        socket.emit('notification', { message: result.message, type: 'info' });
+                    } else {
+                        socket.emit('notification', { message: `${labelFor(options)}${result.message}`, type: 'error' });
+                    }
+                } catch (error) {
+                    notifyError(error);
+                }
+            });
+
+            // Handle video generation cancel
+            onOperator('cancelVideoGeneration', (options = {}) => {
                 try {
-                    console.log('Generating video with ffmpeg...');
-                    io.emit('videoGenerationStatus', { status: 'in-progress', message: 'Starting video generation...' });
-                    
-                    const result = await cameraService.generateVideo(
-                        currentConfig,
-                        (progress) => {
-                            io.emit('videoGenerationStatus', { 
-                                status: 'in-progress', 
-                                message: `Generating: ${progress}%`, 
-                                progress: progress 
-                            });
-                        }
-                    );
-                    
-                    io.emit('videoGenerationStatus', { 
-                        status: 'complete', 
-                        message: `Video generation complete! File: ${result.filename}` 
-                    });
-                    socket.emit('notification', { 
-                        message: `Time-lapse video generated: ${result.filename}`, 
-                        type: 'success' 
-                    });
+                    controller.cancelRender(options.cameraId);
                 } catch (error) {
-                    console.error('Video generation failed:', error);
-                    io.emit('videoGenerationStatus', { 
-                        status: 'error', 
-                        message: `Video generation failed: ${error.message}` 
-                    });
-                    socket.emit('notification', { 
-                        message: `Video generation failed: ${error.message}`, 
-                        type: 'error' 
-                    });
+                    notifyError(error);
                 }
             });
 
             // Handle image refresh
-            socket.on('refreshImages', async () => {
+            socket.on('refreshImages', async (options = {}) => {
                 try {
-                    console.log('Refreshing images...');
-                    const imageList = await cameraService.getImageList();
-                    io.emit('imageListUpdate', imageList); // Send to all clients
+                    log.info('Refreshing images...');
+                    const imageList = await controller.listImages(options.cameraId, options.sessionId);
+                    // Each client browses its own session, so only the requester gets the list
+                    socket.emit('imageListUpdate', imageList, controller.getCamera(options.cameraId).id);
                     socket.emit('notification', { message: `Found ${imageList.length} images.`, type: 'info' });
                 } catch (error) {
-                    console.error('Failed to refresh images:', error);
-                    socket.emit('notification', { message: `Failed to refresh images: ${error.message}`, type: 'error' });
+                    log.error('Failed to refresh images:', error);
+                    notifyError(error, 'Failed to refresh images: ');
                 }
             });
 
             // Handle clear images
-            socket.on('clearImages', async () => {
+            onOperator('clearImages', async (options = {}) => {
+                try {
+                    const result = await controller.clearImages(options.cameraId, options.sessionId);
+                    socket.emit('notification', { message: `Cleared ${result.cleared} images!`, type: 'success' });
+                } catch (error) {
+                    log.error('Failed to clear images:', error);
+                    notifyError(error, 'Failed to clear images: ');
+                }
+            });
+
+            // Handle session refresh
+            socket.on('refreshSessions', async (options = {}) => {
                 try {
-                    console.log('Clearing images...');
-                    const clearedCount = await cameraService.clearImages();
-                    
-                    // Update status with current camera service state
-                    const status = cameraService.getStatus();
-                    io.emit('statusUpdate', {
-                        captureStatus: status.isCapturing ? 'Running' : 'Stopped',
-                        imageCount: status.imageCount,
-                        sessionTime: status.sessionTime,
-                        nextCapture: status.isCapturing ? `in ${currentConfig.captureInterval}s` : '--'
-                    });
-                    
-                    socket.emit('notification', { message: `Cleared ${clearedCount} images!`, type: 'success' });
-                    io.emit('imagesCleared');
+                    const sessionList = await controller.listSessions(options.cameraId);
+                    socket.emit('sessionListUpdate', sessionList, controller.getCamera(options.cameraId).id);
                 } catch (error) {
-                    console.error('Failed to clear images:', error);
-                    socket.emit('notification', { message: `Failed to clear images: ${error.message}`, type: 'error' });
+                    log.error('Failed to refresh sessions:', error);
+                    notifyError(error, 'Failed to refresh sessions: ');
                 }
             });
 
             // Handle video refresh
             socket.on('refreshVideos', async () => {
                 try {
-                    console.log('Refreshing videos...');
-                    const videoList = await cameraService.getVideoList();
-                    socket.emit('videoListUpdate', videoList);
+                    log.info('Refreshing videos...');
+                    const videoList = await controller.broadcastVideoList();
                     socket.emit('notification', { message: `Found ${videoList.length} videos.`, type: 'info' });
                 } catch (error) {
-                    console.error('Failed to refresh videos:', error);
-                    socket.emit('notification', { message: `Failed to refresh videos: ${error.message}`, type: 'error' });
+                    log.error('Failed to refresh videos:', error);
+                    notifyError(error, 'Failed to refresh videos: ');
+                }
+            });
+
+            // Handle video deletion
+            onOperator('deleteVideo', async (filename) => {
+                try {
+                    await controller.deleteVideo(filename);
+                    socket.emit('notification', { message: `Deleted ${filename}`, type: 'success' });
+                } catch (error) {
+                    log.error('Failed to delete video:', error);
+                    notifyError(error, 'Failed to delete video: ');
                 }
             });
 
+            // Live log viewer: recent entries first, then every new entry while subscribed.
+            // Logs can show paths and usernames, so only operators may follow them.
+            onOperator('subscribeLogs', () => {
+                socket.join('logs');
+                socket.emit('logHistory', logger.getRecentEntries());
+            });
+
+            socket.on('unsubscribeLogs', () => {
+                socket.leave('logs');
+            });
+
             socket.on('disconnect', () => {
-                console.log('User disconnected:', socket.id);
+                log.info('User disconnected:', socket.id);
                 // No socket-specific cleanup needed with camera service
             });
         });
 
+        logger.on('entry', (entry) => io.to('logs').emit('logEntry', entry));
+
         // Start the server
-        server.listen(fullConfig.port, () => {
-            console.log(`Server listening on port ${fullConfig.port}`);
-            console.log(`Open your browser to http://localhost:${fullConfig.port}`);
+        server.listen(fullConfig.port, fullConfig.host, () => {
+            log.info(`Server listening on port ${fullConfig.port}`);
+            const streamPorts = controller.getCameras().map(camera => controller.getStreamStatus(camera.id).port);
+            networkPolicy.describe(streamPorts).forEach(line => log.info(`Network: ${line}`));
+            log.info(`Open your browser to http://${NetworkPolicy.isWildcardAddress(fullConfig.host) ? 'localhost' : SERVER_IP_ADDRESS}:${fullConfig.port}`);
         });
 
-        // --- System Info Simulation ---
-        let systemInfoInterval = setInterval(() => {
-            const memoryUsage = `${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)} MB`;
-            const uptimeSeconds = process.uptime();
-            const systemUptime = formatTime(uptimeSeconds);
+        // Resume interrupted captures and arm the daily schedules
+        await controller.startCameras();
 
-            io.emit('systemInfoUpdate', {
-                memoryUsage: memoryUsage,
-                systemUptime: systemUptime,
-                streamStatus: cameraService.isStreamActive() ? 'Streaming' : 'Stopped'
-            });
+        // Periodic retention so limits are enforced even when nothing is capturing
+        setInterval(() => controller.runAllStorageMaintenance(), STORAGE_CHECK_INTERVAL_MS);
+        controller.runAllStorageMaintenance();
+
+        // --- System health ---
+        // The summary fields feed the dashboard's info tiles; health is the full GET /api/v1/health report
+        const systemInfoInterval = setInterval(async () => {
+            try {
+                const health = await controller.getHealth();
+                const streamStatus = {};
+                health.cameras.forEach(camera => {
+                    streamStatus[camera.id] = camera.stream.running ? 'Streaming' : 'Stopped';
+                });
+
+                io.emit('systemInfoUpdate', {
+                    memoryUsage: `${formatBytes(health.memory.used)} (${health.memory.percent}%)`,
+                    systemUptime: formatTime(health.uptime.process),
+                    streamStatus, // Keyed by camera id
+                    diskFree: health.disk ? formatBytes(health.disk.free) : '--',
+                    diskLow: health.disk ? !health.disk.ok : false,
+                    health
+                });
+            } catch (error) {
+                log.error('Failed to collect system health:', error);
+            }
         }, 5000); // Update every 5 seconds
 
     } catch (error) {
-        console.error('Failed to initialize application:', error);
+        if (error.errors) {
+            log.error('Failed to initialize application, fix these settings in .env:');
+            error.errors.forEach(({ field, message }) => log.error(`  ${field} ${message}`));
+        } else {
+            log.error('Failed to initialize application:', error);
+        }
         process.exit(1);
     }
 }
@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { watchFile } = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./fileUtils');
+const log = require('./logger').child('auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator'];
+const SESSION_COOKIE = 'timelapse_session';
+const SCRYPT_KEY_LENGTH = 64;
+// Checked against for unknown usernames, so they cost the same scrypt run as known ones
+// and the response time doesn't reveal which accounts exist. No password matches it.
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+const STORE_POLL_INTERVAL_MS = 5000;
+
+// Failed logins allowed per client address before it has to wait
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Users, hashed API keys and the cookie signing secret live in a local JSON file
+// (AUTH_FILE). Manage accounts with `npm run users`.
+class AuthService {
+    constructor(config = {}) {
+        this.enabled = config.authEnabled !== false;
+        this.storePath = path.resolve(__dirname, '..', config.authFile || 'auth.json');
+        this.sessionTtlMs = (config.sessionTtlHours || 168) * 60 * 60 * 1000;
+        this.envApiKey = config.apiKey || null; // API_KEY from .env, always an operator key
+        this.store = null;
+        this.loginFailures = new Map();
+    }
+
+    /**
+     * Load the auth store, creating it with a fresh signing secret if missing
+     */
+    async load() {
+        try {
+            this.store = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Cannot read ${this.storePath}: ${error.message}`);
+            }
+            this.store = { secret: crypto.randomBytes(32).toString('hex'), users: [], apiKeys: [] };
+            await this.save();
+        }
+
+        this.store.users = this.store.users || [];
+        this.store.apiKeys = this.store.apiKeys || [];
+        return this.store;
+    }
+
+    /**
+     * Pick up accounts changed by `npm run users` while the server is running
+     */
+    watch() {
+        watchFile(this.storePath, { interval: STORE_POLL_INTERVAL_MS, persistent: false }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            this.load()
+                .then(() => log.info('Reloaded auth accounts'))
+                .catch(error => log.error('Failed to reload auth accounts:', error.message));
+        });
+    }
+
+    async save() {
+        // Only the server user should be able to read password hashes and the secret
+        await writeFileAtomic(this.storePath, JSON.stringify(this.store, null, 2), { mode: 0o600 });
+    }
+
+    hasAccounts() {
+        return this.store.users.length > 0 || this.store.apiKeys.length > 0 || Boolean(this.envApiKey);
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}". Expected one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Operators can do everything viewers can
+     */
+    hasRole(user, role) {
+        if (!this.enabled) return true;
+        if (!user) return false;
+        return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    // --- Passwords and users ---
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, salt, expected] = String(stored).split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+    }
+
+    findUser(username) {
+        const name = String(username || '').toLowerCase();
+        return this.store.users.find(user => user.username === name) || null;
+    }
+
+    async addUser(username, password, role = 'viewer') {
+        const name = String(username || '').trim().toLowerCase();
+        if (!/^[a-z0-9._-]{1,32}$/.test(name)) {
+            throw new Error('Usernames may contain letters, digits, ".", "_" and "-" (max 32)');
+        }
+        if (this.findUser(name)) {
+            throw new Error(`User "${name}" already exists`);
+        }
+        if (!password || password.length < 8) {
+            throw new Error('Passwords must be at least 8 characters');
+        }
+        this.validateRole(role);
+
+        this.store.users.push({
+            username: name,
+            role,
+            passwordHash: await this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        });
+        await this.save();
+        return { username: name, role };
+    }
+
+    async setPassword(username, password) {
+        const user = this.findUser(username);
+        if (!user) {
+            throw new Error(`Unknown user "${username}"`);
+        }
+        if (!password || password.length < 8) {
+            throw new Error('Passwords must be at least 8 characters');
+        }
+
+        user.passwordHash = await this.hashPassword(password);
+        // Changing the password signs the user out everywhere
+        user.sessionVersion = (user.sessionVersion || 0) + 1;
+        await this.save();
+    }
+
+    async setRole(username, role) {
+        const user = this.findUser(username);
+        if (!user) {
+            throw new Error(`Unknown user "${username}"`);
+        }
+        this.validateRole(role);
+        user.role = role;
+        await this.save();
+    }
+
+    async removeUser(username) {
+        const user = this.findUser(username);
+        if (!user) {
+            throw new Error(`Unknown user "${username}"`);
+        }
+        this.store.users = this.store.users.filter(entry => entry !== user);
+        await this.save();
+    }
+
+    listUsers() {
+        return this.store.users.map(({ username, role, createdAt }) => ({ username, role, createdAt }));
+    }
+
+    /**
+     * Check a username/password pair; returns the user or null
+     */
+    async login(username, password, clientAddress = 'unknown') {
+        const failures = this.loginFailures.get(clientAddress);
+        if (failures && failures.count >= MAX_LOGIN_FAILURES && Date.now() - failures.last < LOGIN_LOCKOUT_MS) {
+            const error = new Error('Too many failed logins, try again later');
+            error.status = 429;
+            throw error;
+        }
+
+        const user = this.findUser(username);
+        const matches = await this.verifyPassword(String(password || ''), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+        const valid = Boolean(user) && matches;
+        if (!valid) {
+            const count = failures && Date.now() - failures.last < LOGIN_LOCKOUT_MS ? failures.count + 1 : 1;
+            this.loginFailures.set(clientAddress, { count, last: Date.now() });
+            log.warn(`Failed login for "${username}" from ${clientAddress}`);
+            return null;
+        }
+
+        this.loginFailures.delete(clientAddress);
+        log.info(`User ${user.username} logged in from ${clientAddress}`);
+        return { username: user.username, role: user.role };
+    }
+
+    // --- API keys ---
+
+    hashApiKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Create an API key; the plain key is only returned here
+     */
+    async addApiKey(name, role = 'operator') {
+        const keyName = String(name || '').trim();
+        if (!keyName) {
+            throw new Error('API keys need a name');
+        }
+        if (this.store.apiKeys.some(entry => entry.name === keyName)) {
+            throw new Error(`API key "${keyName}" already exists`);
+        }
+        this.validateRole(role);
+
+        const key = `tl_${crypto.randomBytes(24).toString('hex')}`;
+        this.store.apiKeys.push({ name: keyName, role, keyHash: this.hashApiKey(key), createdAt: new Date().toISOString() });
+        await this.save();
+        return key;
+    }
+
+    async removeApiKey(name) {
+        const before = this.store.apiKeys.length;
+        this.store.apiKeys = this.store.apiKeys.filter(entry => entry.name !== name);
+        if (this.store.apiKeys.length === before) {
+            throw new Error(`Unknown API key "${name}"`);
+        }
+        await this.save();
+    }
+
+    listApiKeys() {
+        return this.store.apiKeys.map(({ name, role, createdAt }) => ({ name, role, createdAt }));
+    }
+
+    authenticateApiKey(key) {
+        if (!key) return null;
+
+        if (this.envApiKey && this.safeEqual(key, this.envApiKey)) {
+            return { username: 'api-key', role: 'operator', apiKey: true };
+        }
+
+        const keyHash = this.hashApiKey(key);
+        const entry = this.store.apiKeys.find(apiKey => this.safeEqual(apiKey.keyHash, keyHash));
+        return entry ? { username: `api-key:${entry.name}`, role: entry.role, apiKey: true } : null;
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(String(a));
+        const bufferB = Buffer.from(String(b));
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    // --- Session cookies ---
+
+    sign(value) {
+        return crypto.createHmac('sha256', this.store.secret).update(value).digest('base64url');
+    }
+
+    /**
+     * Signed token holding the username, session version and expiry; the role is looked up on every request
+     */
+    createSessionToken(user) {
+        const stored = this.findUser(user.username);
+        const payload = Buffer.from(JSON.stringify({
+            u: stored.username,
+            v: stored.sessionVersion || 0,
+            exp: Date.now() + this.sessionTtlMs
+        })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    verifySessionToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature || !this.safeEqual(signature, this.sign(payload))) {
+            return null;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const user = this.findUser(data.u);
+        if (!user || data.exp < Date.now() || (user.sessionVersion || 0) !== data.v) {
+            return null;
+        }
+        return { username: user.username, role: user.role };
+    }
+
+    buildSessionCookie(token, secure = false) {
+        const maxAge = Math.floor(this.sessionTtlMs / 1000);
+        return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    }
+
+    buildLogoutCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+    }
+
+    // Malformed pairs (e.g. a bad percent-escape) are skipped rather than failing the request
+    parseCookies(header) {
+        const cookies = {};
+        String(header || '').split(';').forEach(part => {
+            const index = part.indexOf('=');
+            if (index <= 0) return;
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // URIError: not a cookie this server set, so leave it out
+            }
+        });
+        return cookies;
+    }
+
+    // --- Request and socket authentication ---
+
+    /**
+     * Resolve the user behind a set of request headers: API key header/bearer token, then session cookie
+     */
+    authenticateHeaders(headers = {}) {
+        const authorization = headers.authorization || '';
+        const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+        const apiKeyUser = this.authenticateApiKey(headers['x-api-key'] || bearer);
+        if (apiKeyUser) return apiKeyUser;
+
+        const cookies = this.parseCookies(headers.cookie);
+        return this.verifySessionToken(cookies[SESSION_COOKIE]);
+    }
+
+    authenticateRequest(req) {
+        if (!this.enabled) {
+            return { username: 'anonymous', role: 'operator' };
+        }
+        return this.authenticateHeaders(req.headers);
+    }
+
+    /**
+     * Socket.IO handshake: session cookie, or { auth: { apiKey } } for scripts
+     */
+    authenticateSocket(handshake) {
+        if (!this.enabled) {
+            return { username: 'anonymous', role: 'operator' };
+        }
+        const apiKeyUser = this.authenticateApiKey(handshake.auth && handshake.auth.apiKey);
+        return apiKeyUser || this.authenticateHeaders(handshake.headers);
+    }
+
+    /**
+     * Express middleware: 401 without credentials, 403 without the role
+     */
+    requireRole(role) {
+        return (req, res, next) => {
+            const user = this.authenticateRequest(req);
+            if (!user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!this.hasRole(user, role)) {
+                return res.status(403).json({ error: `The ${role} role is required` });
+            }
+            req.user = user;
+            next();
+        };
+    }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
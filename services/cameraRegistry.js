@@ -0,0 +1,99 @@
+const CameraService = require('./cameraService');
+const SchedulerService = require('./schedulerService');
+const StorageService = require('./storageService');
+const log = require('./logger').child('camera');
+
+// Each configured camera gets its own CameraService (device, backend, stream, capture
+// state and sessions), retention limits and daily schedule.
+class CameraRegistry {
+    constructor() {
+        this.cameras = new Map();
+    }
+
+    /**
+     * Create the services for every camera in config.cameras
+     */
+    load(cameraConfigs) {
+        for (const cameraConfig of cameraConfigs) {
+            const cameraService = new CameraService(cameraConfig);
+            const storageService = new StorageService(() => cameraService.outputDir);
+            storageService.configure(cameraConfig);
+
+            this.cameras.set(cameraConfig.id, {
+                id: cameraConfig.id,
+                name: cameraConfig.name,
+                config: cameraConfig,
+                cameraService,
+                storageService,
+                schedulerService: new SchedulerService()
+            });
+            log.info(`Camera "${cameraConfig.name}" (${cameraConfig.id}) using ${cameraService.captureBackend.name}, stream port ${cameraService.getStreamPort()}`);
+        }
+    }
+
+    /**
+     * Apply reloaded settings to the existing cameras. Adding or removing cameras needs a restart.
+     */
+    reconfigure(cameraConfigs) {
+        for (const cameraConfig of cameraConfigs) {
+            const camera = this.cameras.get(cameraConfig.id);
+            if (!camera) {
+                log.warn(`Camera ${cameraConfig.id} was added to CAMERAS; restart the server to use it`);
+                continue;
+            }
+
+            camera.config = cameraConfig;
+            camera.name = cameraConfig.name;
+            camera.storageService.configure(cameraConfig);
+            camera.cameraService.configureStream(cameraConfig);
+            camera.cameraService.configureCaptureBackend(cameraConfig);
+            camera.cameraService.configureOrientation(cameraConfig);
+            camera.cameraService.configureWatchdog(cameraConfig);
+            camera.cameraService.configureDirectories(cameraConfig);
+        }
+    }
+
+    /**
+     * Look up a camera; no id means the first (default) camera
+     */
+    get(cameraId) {
+        if (!cameraId) {
+            return this.getDefault();
+        }
+        const camera = this.cameras.get(cameraId);
+        if (!camera) {
+            throw new Error(`Unknown camera "${cameraId}"`);
+        }
+        return camera;
+    }
+
+    getDefault() {
+        return this.cameras.values().next().value;
+    }
+
+    list() {
+        return Array.from(this.cameras.values());
+    }
+
+    get size() {
+        return this.cameras.size;
+    }
+
+    /**
+     * Camera summaries for the dashboard's camera switcher
+     */
+    getSummaries() {
+        return this.list().map(camera => {
+            const status = camera.cameraService.getStatus();
+            return {
+                id: camera.id,
+                name: camera.name,
+                backend: camera.cameraService.captureBackend.name,
+                isCapturing: status.isCapturing,
+                isStreamActive: status.isStreamActive
+            };
+        });
+    }
+}
+
+module.exports = CameraRegistry;
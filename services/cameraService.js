@@ -1,12 +1,64 @@
-const { spawn, exec } = require('child_process');
+const { spawn, execFile } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const SessionService = require('./sessionService');
+const { createCaptureBackend, resolveVideoDevice } = require('./captureBackends');
+const { loadThumbnail, compareThumbnails, getBrightness } = require('./imageAnalysis');
+const ExposureRamp = require('./exposureRamp');
+const logger = require('./logger');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Capture attempts the success rate in getCaptureStats() is computed over
+const CAPTURE_STATS_WINDOW = 50;
+
+// Watchdog backoff: retry and restart delays double from their configured base up to this cap
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+// A stream that ran at least this long before exiting starts a fresh series of restart attempts
+const STREAM_STABLE_MS = 60 * 1000;
+// mjpg-streamer is only reachable from this machine; the API relays it to signed-in clients
+const STREAM_BIND_ADDRESS = '127.0.0.1';
+
+// Size of the check frames motion and burst modes compare; only a thumbnail of them is analysed
+const MOTION_CHECK_RESOLUTION = { width: 320, height: 240 };
+
+// How exposure controls are named in warnings
+const EXPOSURE_CONTROL_NAMES = { shutter: 'shutter speed', gain: 'gain', whiteBalance: 'white balance' };
+
+// Frame rate of the processing pass; only its frame-by-frame pacing matters
+const PROCESSING_FPS = 25;
+
+// Captures are named timelapse_<ISO time with : and . replaced by ->.jpg. Unlike birthtime (0, or
+// the copy time, on many filesystems) the name survives copies and restores.
+const CAPTURE_TIME_PATTERN = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/;
+
+function getCaptureTime(filename, stats) {
+    const match = CAPTURE_TIME_PATTERN.exec(filename);
+    if (!match) return stats.mtime;
+    return new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+}
+
+function createCancelledError() {
+    const error = new Error('Video generation cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+function getBackoffDelay(baseSeconds, attempt) {
+    return Math.min(baseSeconds * 1000 * 2 ** attempt, MAX_BACKOFF_MS);
+}
+
+// Plugin-specific device/resolution/fps flags built from CAMERA_DEVICE and the stream settings
+const STREAM_INPUT_ARGS = {
+    'input_uvc.so': ({ device, width, height, fps }) => [`-d ${resolveVideoDevice(device)}`, `-r ${width}x${height}`, `-f ${fps}`],
+    'input_libcamera.so': ({ width, height, fps }) => [`-r ${width}x${height}`, `-f ${fps}`],
+    'input_raspicam.so': ({ width, height, fps }) => [`-x ${width}`, `-y ${height}`, `-fps ${fps}`]
+};
 
 class CameraService {
-    constructor() {
+    constructor(config = {}) {
         this.streamProcess = null;
         this.captureProcess = null;
         this.isCapturing = false;
@@ -14,11 +66,46 @@ class CameraService {
         this.imageCount = 0;
         this.sessionStartTime = null;
         this.streamWasActive = false;
-        this.outputDir = process.env.OUTPUT_DIR || path.join(__dirname, '..', 'captures');
-        this.mjpegStreamerPath = '/usr/local/bin/mjpg_streamer';
-        this.mjpegStreamerWwwPath = '/usr/local/share/mjpg-streamer/www/';
+        this.cameraId = config.id || 'default';
+        // Entries from cameras other than the default are tagged camera:<id>, stream:<id>, render:<id>
+        const tagSuffix = this.cameraId === 'default' ? '' : `:${this.cameraId}`;
+        this.log = logger.child(`camera${tagSuffix}`);
+        this.streamLog = logger.child(`stream${tagSuffix}`);
+        this.renderLog = logger.child(`render${tagSuffix}`);
+        this.outputDir = this.resolveDirectory(config.outputDir || process.env.OUTPUT_DIR || 'captures');
+        this.videoDir = this.resolveDirectory(config.videoDir || process.env.VIDEO_DIR || 'videos');
+        this.pendingOutputDir = null; // OUTPUT_DIR change waiting for the running capture to stop
+        this.streamSettings = null; // mjpg-streamer settings for the next stream start
+        this.activeStreamSettings = null; // Settings the running stream was started with
         this.cameraInUse = false; // Camera access mutex
         this.currentStreamConfig = null; // Store active stream configuration
+        this.videoJob = null; // { cancelled } while a render or processing pass holds the video slot
+        this.videoProcess = null; // Active ffmpeg render
+        this.sessionService = new SessionService(this.outputDir);
+        this.currentSession = null; // Manifest of the session being captured
+        this.captureConfig = null; // Config the running capture was started with
+        this.lastCaptureAt = null;
+        this.nextCaptureAt = null; // Epoch ms of the next capture slot while capturing
+        this.recentCaptureResults = []; // true/false per capture attempt, newest last
+        this.lastCaptureError = null;
+        this.consecutiveFailures = 0; // Captures that failed every retry, reset by a success
+        this.captureRetry = null; // { attempt, of, at } while waiting to retry a failed capture
+        this.captureModeState = null; // CAPTURE_MODE of the current session and its frame comparisons
+        this.exposureRamp = null; // Metered shutter/gain while capturing with EXPOSURE_MODE=ramp
+        this.streamRestart = { attempts: 0, timer: null, nextAt: null, lastExit: null, gaveUp: false };
+        this.manifestWrite = Promise.resolve(); // Serializes manifest saves
+        this.captureBackend = null;
+        this.pendingCaptureBackend = null; // Backend change waiting for the running capture to stop
+        this.streamStartedForCapture = false; // Stream was started only to feed snapshot captures
+        this.orientation = { rotation: 0, flipHorizontal: false, flipVertical: false };
+
+        this.configureStream(config);
+        this.configureCaptureBackend({
+            cameraType: config.cameraType || process.env.CAMERA_TYPE || 'libcamera',
+            cameraDevice: config.cameraDevice ?? process.env.CAMERA_DEVICE
+        });
+        this.configureOrientation(config);
+        this.configureWatchdog(config);
         
         this.ensureOutputDir();
     }
@@ -26,15 +113,164 @@ class CameraService {
     async ensureOutputDir() {
         try {
             await fs.mkdir(this.outputDir, { recursive: true });
+            await fs.mkdir(this.videoDir, { recursive: true });
         } catch (error) {
-            console.error('Failed to create output directory:', error);
+            this.log.error('Failed to create output directory:', error);
         }
     }
 
+    // Relative directories are resolved against the project root, like the defaults
+    resolveDirectory(dir) {
+        return path.resolve(__dirname, '..', dir);
+    }
+
+    // OUTPUT_DIR / VIDEO_DIR. A running capture keeps writing its session to the old
+    // image folder; the new one applies once it stops.
+    configureDirectories(config) {
+        if (config.videoDir) {
+            this.videoDir = this.resolveDirectory(config.videoDir);
+        }
+        if (config.outputDir) {
+            const outputDir = this.resolveDirectory(config.outputDir);
+            if (this.isCapturing) {
+                this.pendingOutputDir = outputDir !== this.outputDir ? outputDir : null;
+            } else {
+                this.setOutputDir(outputDir);
+            }
+        }
+        this.ensureOutputDir();
+    }
+
+    setOutputDir(outputDir) {
+        if (outputDir === this.outputDir) return;
+        this.outputDir = outputDir;
+        this.sessionService = new SessionService(outputDir);
+    }
+
     isStreamActive() {
         return this.streamProcess !== null;
     }
 
+    // MJPG_STREAMER_* / MJPG_INPUT_* / CAMERA_DEVICE settings; a running stream keeps
+    // its settings and the new ones apply on the next start. mjpg-streamer has no login of
+    // its own, so it only listens on loopback and clients watch through the API's /stream/live.
+    configureStream(config) {
+        this.streamSettings = {
+            path: config.mjpgStreamerPath || '/usr/local/bin/mjpg_streamer',
+            wwwPath: config.mjpgStreamerWww || '/usr/local/share/mjpg-streamer/www',
+            port: parseInt(config.mjpgStreamerPort) || 8080,
+            bindAddress: STREAM_BIND_ADDRESS,
+            inputPlugin: config.mjpgInputPlugin || 'input_uvc.so',
+            inputOptions: config.mjpgInputOptions || '',
+            device: config.cameraDevice
+        };
+        return this.streamSettings;
+    }
+
+    // CAPTURE_RETRIES / CAPTURE_RETRY_DELAY / CAPTURE_FAILURE_THRESHOLD and STREAM_RESTART_*; used from the next failure on
+    configureWatchdog(config) {
+        this.watchdogSettings = {
+            captureRetries: config.captureRetries ?? 2,
+            captureRetryDelay: config.captureRetryDelay ?? 2,
+            captureFailureThreshold: config.captureFailureThreshold ?? 5,
+            streamRestartAttempts: config.streamRestartAttempts ?? 5,
+            streamRestartDelay: config.streamRestartDelay ?? 2
+        };
+        return this.watchdogSettings;
+    }
+
+    // Port of the running stream, or the one the next stream will use
+    getStreamPort() {
+        return (this.activeStreamSettings || this.streamSettings).port;
+    }
+
+    /**
+     * The mjpg-streamer process as the health report shows it
+     */
+    getStreamProcessInfo() {
+        return {
+            running: this.isStreamActive(),
+            pid: this.streamProcess ? this.streamProcess.pid : null,
+            port: this.getStreamPort(),
+            startedForCapture: this.streamStartedForCapture
+        };
+    }
+
+    // Address local clients (the snapshot backend and the stream relay) reach the stream on
+    getStreamHost() {
+        return (this.activeStreamSettings || this.streamSettings).bindAddress;
+    }
+
+    // Build the -i argument: MJPG_INPUT_OPTIONS first, then device/resolution/fps and
+    // orientation flags so the dashboard settings win over the same flags in the options.
+    getStreamInputArgument(config, settings = this.streamSettings) {
+        const [width, height] = config.streamWidth && config.streamHeight
+            ? [config.streamWidth, config.streamHeight]
+            : this.getResolutionForQuality(config.streamQuality).split('x');
+        const pluginArgs = STREAM_INPUT_ARGS[path.basename(settings.inputPlugin)];
+
+        return [
+            settings.inputPlugin,
+            settings.inputOptions,
+            ...(pluginArgs ? pluginArgs({ device: settings.device, width, height, fps: config.streamFps }) : []),
+            this.getStreamOrientationOptions()
+        ].filter(Boolean).join(' ');
+    }
+
+    // Select the capture backend from CAMERA_TYPE / CAMERA_DEVICE.
+    // A running timelapse keeps its backend; the new one applies once it stops.
+    configureCaptureBackend(config) {
+        const backend = createCaptureBackend(config.cameraType, {
+            device: config.cameraDevice,
+            getStreamHost: () => this.getStreamHost(),
+            getStreamPort: () => this.getStreamPort()
+        });
+
+        if (this.isCapturing && this.captureBackend) {
+            this.pendingCaptureBackend = backend;
+        } else {
+            this.captureBackend = backend;
+        }
+        return backend;
+    }
+
+    // ROTATION / FLIP_* apply to captures, the stream and (optionally) rendering.
+    // Flips are applied before the clockwise rotation everywhere.
+    configureOrientation(config) {
+        let rotation = parseInt(config.rotation) || 0;
+        if (![0, 90, 180, 270].includes(rotation)) {
+            this.log.warn(`Unsupported ROTATION ${config.rotation}, expected 0, 90, 180 or 270; using 0`);
+            rotation = 0;
+        }
+
+        this.orientation = {
+            rotation,
+            flipHorizontal: Boolean(config.flipHorizontal),
+            flipVertical: Boolean(config.flipVertical)
+        };
+        return this.orientation;
+    }
+
+    // mjpg-streamer input plugins (input_uvc camera controls, input_raspicam) take -rot/-hf/-vf
+    getStreamOrientationOptions() {
+        const options = [];
+        if (this.orientation.rotation) options.push(`-rot ${this.orientation.rotation}`);
+        if (this.orientation.flipHorizontal) options.push('-hf');
+        if (this.orientation.flipVertical) options.push('-vf');
+        return options.join(' ');
+    }
+
+    // ffmpeg filters that apply the configured orientation to already captured frames
+    getOrientationFilters(orientation = this.orientation) {
+        const filters = [];
+        if (orientation.flipHorizontal) filters.push('hflip');
+        if (orientation.flipVertical) filters.push('vflip');
+        if (orientation.rotation === 90) filters.push('transpose=clock');
+        if (orientation.rotation === 180) filters.push('hflip', 'vflip');
+        if (orientation.rotation === 270) filters.push('transpose=cclock');
+        return filters;
+    }
+
     getResolutionForQuality(quality) {
         const resolutions = {
             low: '640x480',
@@ -44,15 +280,31 @@ class CameraService {
         return resolutions[quality] || resolutions.medium;
     }
 
+    // IMAGE_QUALITY preset, or RESOLUTION_WIDTH x RESOLUTION_HEIGHT when it is 'custom'
+    getCaptureResolution(config) {
+        if (config.imageQuality === 'custom' && config.resolutionWidth && config.resolutionHeight) {
+            return [config.resolutionWidth, config.resolutionHeight];
+        }
+        return this.getResolutionForQuality(config.imageQuality).split('x').map(Number);
+    }
 
-    async captureImage(config, notifyCallback = null) {
-        const resolution = this.getResolutionForQuality(config.imageQuality);
+
+    async captureImage(config, notifyCallback = null, targetDir = this.outputDir) {
+        const backend = this.captureBackend;
+        const [width, height] = this.getCaptureResolution(config);
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const filename = `timelapse_${timestamp}.jpg`;
-        const filepath = path.join(this.outputDir, filename);
+        const filepath = path.join(targetDir, filename);
+
+        const settings = { width, height, ...this.orientation, exposure: this.getExposureSettings(config) };
+
+        // Snapshot backends read from the running stream instead of taking the device over
+        if (backend.usesStream) {
+            return this.captureFromStream(config, notifyCallback, filename, filepath, settings);
+        }
 
         // Check if stream is active and preserve its configuration
-        const wasStreamActive = this.isStreamActive();
+        const wasStreamActive = backend.needsExclusiveCamera && this.isStreamActive();
         const streamConfig = wasStreamActive ? this.getCurrentStreamConfig() : null;
 
         try {
@@ -61,19 +313,18 @@ class CameraService {
                 if (notifyCallback) {
                     notifyCallback('stream-paused', 'Live preview paused for image capture...');
                 }
-                console.log('Stopping stream for image capture...');
+                this.log.info('Stopping stream for image capture...');
                 await this.stopStream();
                 
                 // Step 2: Add 500ms buffer for camera device handoff
-                console.log('Waiting for camera device handoff...');
+                this.log.info('Waiting for camera device handoff...');
                 await new Promise(resolve => setTimeout(resolve, 500));
             }
 
-            // Step 3: Capture image with fswebcam
-            console.log(`Capturing image: ${filename}`);
-            const fswebcamCommand = `fswebcam -r ${resolution} --no-banner "${filepath}"`;
-            await execAsync(fswebcamCommand);
-            console.log(`Image captured successfully: ${filename}`);
+            // Step 3: Capture image with the configured backend
+            this.log.info(`Capturing image with ${backend.name}: ${filename}`);
+            await backend.capture(filepath, settings);
+            this.log.info(`Image captured successfully: ${filename}`);
             
             return {
                 filename,
@@ -81,19 +332,19 @@ class CameraService {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            console.error('Failed to capture image:', error);
+            this.log.error('Failed to capture image:', error);
             throw error;
         } finally {
             // Step 4: Restart stream if it was active before capture
             if (wasStreamActive && streamConfig) {
                 try {
-                    console.log('Restarting stream after image capture...');
+                    this.log.info('Restarting stream after image capture...');
                     await this.startStream(streamConfig, notifyCallback);
                     if (notifyCallback) {
                         notifyCallback('stream-resumed', 'Live preview resumed after image capture');
                     }
                 } catch (streamError) {
-                    console.error('Failed to restart stream after capture:', streamError);
+                    this.log.error('Failed to restart stream after capture:', streamError);
                     if (notifyCallback) {
                         notifyCallback('stream-error', `Failed to restart stream: ${streamError.message}`);
                     }
@@ -103,49 +354,443 @@ class CameraService {
         }
     }
 
-    async startTimelapse(config, onImageCaptured, onError, onStreamNotification = null) {
+    // Bring the stream up for a snapshot backend if nobody has; it stays running between frames
+    async ensureCaptureStream(config, notifyCallback) {
+        if (!this.isStreamActive()) {
+            this.log.info('Starting stream to serve snapshot captures...');
+            await this.startStream(config, notifyCallback);
+            this.streamStartedForCapture = this.isCapturing;
+        }
+    }
+
+    async captureFromStream(config, notifyCallback, filename, filepath, settings) {
+        await this.ensureCaptureStream(config, notifyCallback);
+
+        try {
+            this.log.info(`Capturing image with ${this.captureBackend.name}: ${filename}`);
+            await this.captureBackend.capture(filepath, settings);
+            this.log.info(`Image captured successfully: ${filename}`);
+
+            return {
+                filename,
+                filepath,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            this.log.error('Failed to capture image:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Capture a frame, retrying up to CAPTURE_RETRIES times with a doubling delay.
+     * Throws the last error once every retry failed (or the capture was stopped meanwhile).
+     */
+    async captureWithRetries(config, notifyCallback, targetDir, isActive) {
+        const { captureRetries, captureRetryDelay } = this.watchdogSettings;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.captureImage(config, notifyCallback, targetDir);
+            } catch (error) {
+                if (attempt >= captureRetries || !isActive()) {
+                    throw error;
+                }
+                const delayMs = getBackoffDelay(captureRetryDelay, attempt);
+                this.captureRetry = { attempt: attempt + 1, of: captureRetries, at: new Date(Date.now() + delayMs).toISOString() };
+                this.log.warn(`Capture failed (${error.message}); retry ${attempt + 1} of ${captureRetries} in ${delayMs / 1000}s`);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+                if (!isActive()) {
+                    throw error;
+                }
+            } finally {
+                this.captureRetry = null;
+            }
+        }
+    }
+
+    async startTimelapse(config, onImageCaptured, onError, onStreamNotification = null, sessionName = null) {
         if (this.isCapturing) {
             throw new Error('Timelapse is already running');
         }
 
-        console.log('Starting timelapse capture with fswebcam...');
-        
-        // Acquire camera access for timelapse
-        this.acquireCamera('timelapse');
+        this.log.info(`Starting timelapse capture with ${this.captureBackend.name}...`);
         
+        // Acquire camera access for timelapse (snapshot captures share the device with the stream)
+        if (this.captureBackend.needsExclusiveCamera) {
+            this.acquireCamera('timelapse');
+        }
+
+        let session;
+        try {
+            session = await this.sessionService.createSession(sessionName, config);
+        } catch (error) {
+            this.releaseTimelapseCamera();
+            throw error;
+        }
+
+        this.runCaptureLoop(session, config, Date.now(), onImageCaptured, onError, onStreamNotification);
+    }
+
+    // Pick up a session that was still capturing when the process died.
+    // Returns null when there is nothing to resume.
+    async resumeTimelapse(onImageCaptured, onError, onStreamNotification = null) {
+        const state = await this.sessionService.loadCaptureState();
+        if (!state) {
+            return null;
+        }
+        if (this.isCapturing) {
+            throw new Error('Timelapse is already running');
+        }
+
+        if (this.captureBackend.needsExclusiveCamera) {
+            this.acquireCamera('timelapse');
+        }
+
+        let session;
+        try {
+            session = await this.sessionService.readManifest(state.sessionId);
+        } catch (error) {
+            this.releaseTimelapseCamera();
+            await this.sessionService.clearCaptureState();
+            throw new Error(`Cannot resume session ${state.sessionId}: ${error.message}`);
+        }
+
+        // Record how long we were down so the UI and renders know frames are missing
+        const now = new Date();
+        const lastCaptureAt = new Date(state.lastCaptureAt || session.startedAt);
+        const intervalMs = state.config.captureInterval * 1000;
+        const gap = {
+            from: lastCaptureAt.toISOString(),
+            to: now.toISOString(),
+            missedFrames: Math.max(0, Math.floor((now - lastCaptureAt) / intervalMs) - 1)
+        };
+        session.gaps = session.gaps || [];
+        session.gaps.push(gap);
+
+        this.log.info(`Resuming timelapse session ${session.id} (${gap.missedFrames} frames missed)`);
+        this.runCaptureLoop(session, state.config, state.sessionStartTime, onImageCaptured, onError, onStreamNotification);
+
+        return { sessionId: session.id, sessionName: session.name, gap };
+    }
+
+    // Close out an interrupted session without resuming it (e.g. schedule window already over)
+    async abandonInterruptedTimelapse() {
+        const state = await this.sessionService.loadCaptureState();
+        if (!state) {
+            return null;
+        }
+
+        try {
+            const session = await this.sessionService.readManifest(state.sessionId);
+            session.stoppedAt = state.lastCaptureAt || session.startedAt;
+            await this.sessionService.saveManifest(session);
+        } catch (error) {
+            this.log.error(`Failed to close interrupted session ${state.sessionId}:`, error.message);
+        }
+
+        await this.sessionService.clearCaptureState();
+        return state.sessionId;
+    }
+
+    runCaptureLoop(session, config, sessionStartTime, onImageCaptured, onError, onStreamNotification) {
+        this.currentSession = session;
+        this.captureConfig = { ...config };
         this.isCapturing = true;
-        this.imageCount = 0;
-        this.sessionStartTime = Date.now();
+        this.imageCount = session.frames.length;
+        this.sessionStartTime = sessionStartTime;
+        this.lastCaptureAt = null;
+
+        this.consecutiveFailures = 0;
+        this.captureRetry = null;
+
+        // Sessions from before capture modes existed were all interval captures
+        const mode = config.captureMode || 'interval';
+        session.modeStats = session.modeStats || { kept: session.frames.length, skipped: 0, triggers: 0 };
+        this.captureModeState = { mode, reference: null, lastDifference: null, lastTriggerAt: null, checkError: null };
+        this.exposureRamp = this.createExposureRamp(session, config);
+
+        this.persistSession(session);
+        this.persistCaptureState();
+
+        // A stop (or a stop followed by a new start) while a capture or retry is pending ends this loop
+        const isActive = () => this.isCapturing && this.currentSession === session;
+        const callbacks = { onImageCaptured, onError, onStreamNotification };
+
+        if (mode === 'motion' || mode === 'burst') {
+            this.nextCaptureAt = null;
+            this.runMotionLoop(session, config, isActive, callbacks);
+            return;
+        }
+
+        // Frames are due at fixed wall-clock slots (start + n * interval), so the time a capture takes
+        // (stream handoff, retries) doesn't push every later frame back
+        const intervalMs = config.captureInterval * 1000;
+        this.nextCaptureAt = Date.now();
 
         const captureLoop = async () => {
-            if (!this.isCapturing) return;
+            if (!isActive()) return;
+            this.nextCaptureAt += intervalMs;
 
-            try {
-                // Each image capture will pause/resume stream individually with notifications
-                const result = await this.captureImage(config, onStreamNotification);
+            await this.captureSessionFrame(session, config, isActive, callbacks, () => this.skipOverrunSlots(session, intervalMs));
+
+            if (isActive()) {
+                this.captureInterval = setTimeout(captureLoop, Math.max(0, this.nextCaptureAt - Date.now()));
+            }
+        };
+
+        captureLoop();
+    }
+
+    /**
+     * Shutter (µs), gain and white balance for the next capture; null leaves that one to the camera.
+     * Controls the capture backend can't set are left out.
+     */
+    getExposureSettings(config) {
+        let values = { shutter: null, gain: null };
+        if (config.exposureMode === 'manual') {
+            values = { shutter: config.shutterSpeed || null, gain: config.gain || null };
+        } else if (config.exposureMode === 'ramp' && this.exposureRamp) {
+            values = this.exposureRamp.getValues();
+        }
+
+        const controls = this.captureBackend.exposureControls || [];
+        const whiteBalance = config.whiteBalance && config.whiteBalance !== 'auto' ? config.whiteBalance : null;
+        return {
+            shutter: controls.includes('shutter') ? values.shutter : null,
+            gain: controls.includes('gain') ? values.gain : null,
+            whiteBalance: controls.includes('whiteBalance') ? whiteBalance : null
+        };
+    }
+
+    // EXPOSURE_MODE=ramp: picks up where the session's last metered frame left off, so a resumed
+    // session doesn't start over from SHUTTER_SPEED. Null for the other modes.
+    createExposureRamp(session, config) {
+        const controls = this.captureBackend.exposureControls || [];
+        const manual = config.exposureMode === 'manual';
+        const requested = [
+            manual && config.shutterSpeed && 'shutter',
+            manual && config.gain && 'gain',
+            config.whiteBalance && config.whiteBalance !== 'auto' && 'whiteBalance'
+        ].filter(Boolean);
+        const unsupported = requested.filter(control => !controls.includes(control));
+        if (unsupported.length) {
+            const names = unsupported.map(control => EXPOSURE_CONTROL_NAMES[control]);
+            this.log.warn(`${this.captureBackend.name} cannot set ${names.join(', ')}; the camera keeps choosing ${names.length > 1 ? 'those' : 'it'}`);
+        }
+
+        if (config.exposureMode !== 'ramp') return null;
+        if (!controls.includes('shutter')) {
+            this.log.warn(`Exposure ramping needs shutter control, which ${this.captureBackend.name} doesn't have`);
+            return null;
+        }
+
+        const lastMetered = [...session.frames].reverse().find(frame => frame.exposure);
+        const start = lastMetered ? lastMetered.exposure : { shutter: config.shutterSpeed, gain: config.gain };
+        return new ExposureRamp({
+            target: config.exposureTarget,
+            maxStep: config.rampMaxStep,
+            minShutter: config.rampMinShutter,
+            // An exposure can't run longer than the gap between frames
+            maxShutter: Math.min(config.rampMaxShutter, config.captureInterval * 1000000),
+            maxGain: controls.includes('gain') ? config.rampMaxGain : 1
+        }, start);
+    }
+
+    /**
+     * Capture one frame into the session and record the outcome. In change mode a frame that barely
+     * differs from the last one kept is deleted again and only counted; with exposure ramping every
+     * frame is metered for the next one. settle runs once the capture is over, before anything is
+     * recorded or reported.
+     */
+    async captureSessionFrame(session, config, isActive, callbacks, settle = () => {}) {
+        const { onImageCaptured, onError, onStreamNotification } = callbacks;
+        const sessionDir = this.sessionService.getSessionDir(session.id);
+
+        try {
+            // Each image capture will pause/resume stream individually with notifications
+            const result = await this.captureWithRetries(config, onStreamNotification, sessionDir, isActive);
+            if (!isActive()) return;
+            const needsThumbnail = this.captureModeState.mode === 'change' || this.exposureRamp;
+            const thumbnail = needsThumbnail ? await this.analyseFrame(result.filepath) : null;
+            const kept = this.captureModeState.mode !== 'change' || await this.keepIfChanged(session, config, result.filepath, thumbnail);
+            const exposure = this.meterExposure(thumbnail);
+            settle();
+            this.lastCaptureAt = result.timestamp;
+            this.consecutiveFailures = 0;
+            this.recordCaptureResult(true);
+
+            if (kept) {
                 this.imageCount++;
-                
-                if (onImageCaptured) {
-                    onImageCaptured({
-                        imageCount: this.imageCount,
-                        sessionTime: this.getSessionTime(),
-                        filename: result.filename,
-                        filepath: result.filepath
-                    });
+                session.modeStats.kept++;
+                session.frames.push({ filename: result.filename, capturedAt: result.timestamp, ...(exposure && { exposure }) });
+            }
+            this.persistSession(session);
+            this.persistCaptureState();
+
+            if (onImageCaptured) {
+                onImageCaptured({
+                    imageCount: this.imageCount,
+                    sessionTime: this.getSessionTime(),
+                    sessionId: session.id,
+                    filename: result.filename,
+                    filepath: result.filepath,
+                    kept
+                });
+            }
+        } catch (error) {
+            if (!isActive()) return;
+            settle();
+            this.log.error('Error during timelapse capture:', error);
+            this.recordCaptureResult(false, error);
+            this.consecutiveFailures++;
+            session.errors.push({ at: new Date().toISOString(), message: error.message });
+
+            // Give up on the session once too many frames in a row failed every retry
+            const { captureFailureThreshold } = this.watchdogSettings;
+            const failure = { consecutiveFailures: this.consecutiveFailures, threshold: captureFailureThreshold, sessionFailed: false };
+            if (this.consecutiveFailures >= captureFailureThreshold) {
+                this.log.error(`Stopping session ${session.id} after ${this.consecutiveFailures} failed captures in a row`);
+                session.failure = { at: new Date().toISOString(), message: error.message, consecutiveFailures: this.consecutiveFailures };
+                failure.sessionFailed = true;
+                this.stopTimelapse(); // Saves the manifest
+            } else {
+                this.persistSession(session);
+            }
+            if (onError) {
+                onError(error, failure);
+            }
+        }
+    }
+
+    // Thumbnail of a captured frame, or null (with a warning) when it can't be decoded
+    async analyseFrame(filepath) {
+        try {
+            return await loadThumbnail(filepath);
+        } catch (error) {
+            this.log.warn(`Cannot analyse ${path.basename(filepath)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // change mode: compare a new frame with the last one kept and delete it when less than
+    // CHANGE_THRESHOLD % differs. Frames that couldn't be analysed are kept rather than lost.
+    async keepIfChanged(session, config, filepath, thumbnail) {
+        const state = this.captureModeState;
+        if (!thumbnail) return true;
+
+        if (state.reference) {
+            state.lastDifference = compareThumbnails(state.reference, thumbnail);
+            if (state.lastDifference < config.changeThreshold) {
+                await fs.unlink(filepath).catch(error => this.log.error(`Failed to delete unchanged frame ${filepath}:`, error.message));
+                session.modeStats.skipped++;
+                this.log.debug(`Dropped ${path.basename(filepath)}: ${state.lastDifference}% changed (keeping from ${config.changeThreshold}%)`);
+                return false;
+            }
+        }
+        state.reference = thumbnail;
+        return true;
+    }
+
+    // Ramp the exposure from the frame just captured. Returns the shutter/gain it was taken with and
+    // its brightness for the manifest, or null when not ramping or the frame couldn't be metered.
+    meterExposure(thumbnail) {
+        if (!this.exposureRamp || !thumbnail) return null;
+
+        const exposure = { ...this.exposureRamp.getValues(), brightness: getBrightness(thumbnail) };
+        const stops = this.exposureRamp.update(exposure.brightness);
+        if (stops) {
+            const { shutter, gain } = this.exposureRamp.getValues();
+            this.log.debug(`Brightness ${exposure.brightness}: exposure ${stops > 0 ? '+' : ''}${stops} EV to ${shutter}µs at gain ${gain}`);
+        }
+        return exposure;
+    }
+
+    // motion / burst: take a small check frame every MOTION_CHECK_INTERVAL seconds and capture
+    // (one frame, or BURST_COUNT of them) when enough changed since the previous check. After a
+    // trigger, motion is ignored for CAPTURE_INTERVAL seconds.
+    runMotionLoop(session, config, isActive, callbacks) {
+        const state = this.captureModeState;
+        const checkMs = config.motionCheckInterval * 1000;
+        const cooldownMs = config.captureInterval * 1000;
+        let previous = null;
+
+        const motionLoop = async () => {
+            if (!isActive()) return;
+
+            try {
+                const thumbnail = await this.getCheckThumbnail(config, callbacks.onStreamNotification);
+                if (!isActive()) return;
+                if (state.checkError) {
+                    this.log.info('Motion checks are working again');
+                    state.checkError = null;
+                }
+
+                state.lastDifference = previous ? compareThumbnails(previous, thumbnail) : null;
+                previous = thumbnail;
+
+                const coolingDown = state.lastTriggerAt && Date.now() - state.lastTriggerAt < cooldownMs;
+                if (state.lastDifference !== null && state.lastDifference >= config.motionThreshold && !coolingDown) {
+                    state.lastTriggerAt = Date.now();
+                    session.modeStats.triggers++;
+                    this.log.info(`Motion detected: ${state.lastDifference}% of the picture changed`);
+                    await this.captureBurst(session, config, isActive, callbacks);
+                    // The capture itself may have changed the picture (stream handoff, exposure), so start over
+                    previous = null;
                 }
             } catch (error) {
-                console.error('Error during timelapse capture:', error);
-                if (onError) {
-                    onError(error);
+                if (!isActive()) return;
+                // Checks run every second or so; only log when the problem changes
+                if (!state.checkError || state.checkError.message !== error.message) {
+                    this.log.warn(`Motion check failed: ${error.message}`);
                 }
+                state.checkError = { at: new Date().toISOString(), message: error.message };
+                previous = null;
             }
 
-            if (this.isCapturing) {
-                this.captureInterval = setTimeout(captureLoop, config.captureInterval * 1000);
+            if (isActive()) {
+                this.captureInterval = setTimeout(motionLoop, checkMs);
             }
         };
 
-        captureLoop();
+        motionLoop();
+    }
+
+    // A motion trigger captures one frame, or BURST_COUNT frames BURST_SPACING seconds apart in burst mode
+    async captureBurst(session, config, isActive, callbacks) {
+        const count = this.captureModeState.mode === 'burst' ? config.burstCount : 1;
+        for (let index = 0; index < count; index++) {
+            if (index > 0 && config.burstSpacing > 0) {
+                await new Promise(resolve => setTimeout(resolve, config.burstSpacing * 1000));
+            }
+            if (!isActive()) return;
+            await this.captureSessionFrame(session, config, isActive, callbacks);
+        }
+    }
+
+    // Low-resolution frame for motion checks, from the same backend (and so the same camera) as the captures
+    async getCheckThumbnail(config, notifyCallback) {
+        const checkPath = path.join(os.tmpdir(), `timelapse-motion-check-${this.cameraId}-${process.pid}.jpg`);
+        if (this.captureBackend.usesStream) {
+            await this.ensureCaptureStream(config, notifyCallback);
+        }
+        try {
+            await this.captureBackend.capture(checkPath, { ...MOTION_CHECK_RESOLUTION, ...this.orientation, exposure: this.getExposureSettings(config) });
+            return await loadThumbnail(checkPath);
+        } finally {
+            await fs.rm(checkPath, { force: true });
+        }
+    }
+
+    // A capture that ran past the next slot(s) drops them rather than firing them back to back
+    skipOverrunSlots(session, intervalMs) {
+        const now = Date.now();
+        if (now <= this.nextCaptureAt) return;
+
+        const skipped = Math.floor((now - this.nextCaptureAt) / intervalMs) + 1;
+        this.nextCaptureAt += skipped * intervalMs;
+        session.skippedSlots = (session.skippedSlots || 0) + skipped;
+        this.persistSession(session);
+        this.log.warn(`Capture overran its interval; skipped ${skipped} slot${skipped > 1 ? 's' : ''} in session ${session.id}`);
     }
 
     stopTimelapse() {
@@ -153,8 +798,9 @@ class CameraService {
             return false;
         }
 
-        console.log('Stopping timelapse capture...');
+        this.log.info('Stopping timelapse capture...');
         this.isCapturing = false;
+        this.nextCaptureAt = null;
         
         if (this.captureInterval) {
             clearTimeout(this.captureInterval);
@@ -164,19 +810,77 @@ class CameraService {
         // CRITICAL FIX: Reset stream state and cleanup orphaned processes
         this.streamWasActive = false;
         
-        // Kill any orphaned stream processes from timelapse operations
-        if (this.streamProcess) {
-            console.log('Cleaning up orphaned stream process from timelapse...');
+        // Kill any orphaned stream processes from timelapse operations.
+        // A preview the user started keeps running in snapshot mode.
+        if (this.streamProcess && (this.captureBackend.needsExclusiveCamera || this.streamStartedForCapture)) {
+            this.streamLog.info('Cleaning up orphaned stream process from timelapse...');
             this.streamProcess.kill('SIGKILL');
             this.streamProcess = null;
+            this.releaseCamera();
         }
+        // A stream the capture started isn't brought back by the watchdog either
+        if (this.streamStartedForCapture) {
+            this.resetStreamRestart();
+        }
+        this.streamStartedForCapture = false;
         
         // Release camera mutex
-        this.releaseCamera();
+        this.releaseTimelapseCamera();
+
+        // Apply a backend change that arrived mid-capture
+        if (this.pendingCaptureBackend) {
+            this.captureBackend = this.pendingCaptureBackend;
+            this.pendingCaptureBackend = null;
+        }
+
+        // Close out the session manifest; a clean stop leaves nothing to resume
+        if (this.currentSession) {
+            this.currentSession.stoppedAt = new Date().toISOString();
+            this.persistSession(this.currentSession);
+            this.currentSession = null;
+        }
+        this.exposureRamp = null;
+        const sessionService = this.sessionService;
+        this.queueWrite(() => sessionService.clearCaptureState(), 'clear capture state');
+
+        // Switch to an image folder chosen mid-capture, after the writes above are queued
+        if (this.pendingOutputDir) {
+            this.setOutputDir(this.pendingOutputDir);
+            this.pendingOutputDir = null;
+            this.ensureOutputDir();
+        }
 
         return true;
     }
 
+    // Queue a state write; writes run one at a time so they can't race on temp files
+    queueWrite(write, description) {
+        this.manifestWrite = this.manifestWrite
+            .then(write)
+            .catch(error => this.log.error(`Failed to ${description}:`, error));
+        return this.manifestWrite;
+    }
+
+    persistSession(session) {
+        const sessionService = this.sessionService;
+        return this.queueWrite(() => sessionService.saveManifest(session), `save manifest for session ${session.id}`);
+    }
+
+    // Snapshot what is needed to resume this capture after a crash or reboot
+    persistCaptureState() {
+        if (!this.currentSession) return this.manifestWrite;
+
+        const state = {
+            sessionId: this.currentSession.id,
+            config: this.captureConfig,
+            sessionStartTime: this.sessionStartTime,
+            lastCaptureAt: this.lastCaptureAt,
+            imageCount: this.imageCount
+        };
+        const sessionService = this.sessionService;
+        return this.queueWrite(() => sessionService.saveCaptureState(state), 'save capture state');
+    }
+
     getSessionTime() {
         if (!this.sessionStartTime) return '00:00:00';
         
@@ -195,13 +899,97 @@ class CameraService {
             isCapturing: this.isCapturing,
             imageCount: this.imageCount,
             sessionTime: this.getSessionTime(),
-            isStreamActive: this.isStreamActive()
+            // Wall-clock time the next frame is due
+            nextCaptureAt: this.isCapturing && this.nextCaptureAt ? new Date(this.nextCaptureAt).toISOString() : null,
+            isStreamActive: this.isStreamActive(),
+            watchdog: this.getWatchdogStatus(),
+            session: this.currentSession
+                ? {
+                    id: this.currentSession.id,
+                    name: this.currentSession.name,
+                    gaps: (this.currentSession.gaps || []).length,
+                    skippedSlots: this.currentSession.skippedSlots || 0
+                }
+                : null,
+            captureMode: this.getCaptureModeStatus(),
+            exposure: this.getExposureStatus()
+        };
+    }
+
+    /**
+     * Exposure of the current session's captures: what is set (null = automatic) and, when
+     * ramping, the last frame's brightness against the target. Null when not capturing.
+     */
+    getExposureStatus() {
+        if (!this.currentSession || !this.captureConfig) return null;
+
+        const config = this.captureConfig;
+        return {
+            mode: this.exposureRamp ? 'ramp' : (config.exposureMode === 'manual' ? 'manual' : 'auto'),
+            ...this.getExposureSettings(config),
+            brightness: this.exposureRamp ? this.exposureRamp.lastBrightness : null,
+            target: this.exposureRamp ? config.exposureTarget : null
+        };
+    }
+
+    /**
+     * The current session's capture mode with its kept/skipped frames and motion triggers, or null
+     */
+    getCaptureModeStatus() {
+        if (!this.currentSession || !this.captureModeState) return null;
+
+        const state = this.captureModeState;
+        return {
+            mode: state.mode,
+            ...this.currentSession.modeStats,
+            // Percent of the picture that changed in the last comparison
+            lastDifference: state.lastDifference,
+            lastTriggerAt: state.lastTriggerAt ? new Date(state.lastTriggerAt).toISOString() : null,
+            checkError: state.checkError
         };
     }
 
-    async getImageList() {
+    recordCaptureResult(succeeded, error = null) {
+        this.recentCaptureResults.push(succeeded);
+        if (this.recentCaptureResults.length > CAPTURE_STATS_WINDOW) {
+            this.recentCaptureResults.shift();
+        }
+        if (error) {
+            this.lastCaptureError = { at: new Date().toISOString(), message: error.message };
+        }
+    }
+
+    /**
+     * Success rate (percent, null before the first attempt) over the last CAPTURE_STATS_WINDOW timelapse captures
+     */
+    getCaptureStats() {
+        const attempts = this.recentCaptureResults.length;
+        const succeeded = this.recentCaptureResults.filter(Boolean).length;
+        return {
+            attempts,
+            succeeded,
+            successRate: attempts > 0 ? Math.round((succeeded / attempts) * 100) : null,
+            lastCaptureAt: this.lastCaptureAt,
+            lastError: this.lastCaptureError
+        };
+    }
+
+    // Sessions live in their own folders; no session id means loose images from before sessions existed
+    getImageDir(sessionId = null) {
+        return sessionId ? this.sessionService.getSessionDir(sessionId) : this.outputDir;
+    }
+
+    async getSessionList() {
+        const sessions = await this.sessionService.listSessions();
+        const activeId = this.currentSession ? this.currentSession.id : null;
+        return sessions.map(session => ({ ...session, active: session.id === activeId }));
+    }
+
+    // processed lists the session's deflickered/stabilized copies instead of its captured frames
+    async getImageList(sessionId = null, processed = false) {
         try {
-            const files = await fs.readdir(this.outputDir);
+            const imageDir = processed ? this.sessionService.getProcessedDir(sessionId) : this.getImageDir(sessionId);
+            const files = await fs.readdir(imageDir);
             const imageFiles = files.filter(file => 
                 file.toLowerCase().endsWith('.jpg') || 
                 file.toLowerCase().endsWith('.jpeg')
@@ -209,45 +997,501 @@ class CameraService {
             
             const imageList = await Promise.all(
                 imageFiles.map(async (file) => {
-                    const filepath = path.join(this.outputDir, file);
+                    const filepath = path.join(imageDir, file);
                     const stats = await fs.stat(filepath);
                     return {
                         filename: file,
                         filepath,
                         size: stats.size,
-                        created: stats.birthtime
+                        created: getCaptureTime(file, stats)
                     };
                 })
             );
 
-            return imageList.sort((a, b) => b.created - a.created);
+            return imageList.sort((a, b) => b.created - a.created || b.filename.localeCompare(a.filename));
         } catch (error) {
-            console.error('Failed to get image list:', error);
+            this.log.error('Failed to get image list:', error);
             return [];
         }
     }
 
-    async clearImages() {
+    async clearImages(sessionId = null) {
         try {
-            const files = await fs.readdir(this.outputDir);
+            const imageDir = this.getImageDir(sessionId);
+            const files = await fs.readdir(imageDir);
             const imageFiles = files.filter(file => 
                 file.toLowerCase().endsWith('.jpg') || 
                 file.toLowerCase().endsWith('.jpeg')
             );
 
-            await Promise.all(
-                imageFiles.map(file => 
-                    fs.unlink(path.join(this.outputDir, file))
-                )
-            );
+            const isActiveSession = Boolean(sessionId) && this.currentSession && this.currentSession.id === sessionId;
 
-            this.imageCount = 0;
-            console.log(`Cleared ${imageFiles.length} images from ${this.outputDir}`);
+            if (sessionId && !isActiveSession) {
+                // A finished session has nothing left once its frames are gone
+                await this.sessionService.deleteSession(sessionId);
+            } else {
+                await Promise.all(
+                    imageFiles.map(file => 
+                        fs.unlink(path.join(imageDir, file))
+                    )
+                );
+            }
+
+            if (isActiveSession || (!sessionId && !this.currentSession)) {
+                this.imageCount = 0;
+            }
+            if (isActiveSession) {
+                this.currentSession.frames = [];
+                this.persistSession(this.currentSession);
+                await fs.rm(this.sessionService.getProcessedDir(sessionId), { recursive: true, force: true });
+            }
+
+            this.log.info(`Cleared ${imageFiles.length} images from ${imageDir}`);
             return imageFiles.length;
         } catch (error) {
-            console.error('Failed to clear images:', error);
+            this.log.error('Failed to clear images:', error);
+            throw error;
+        }
+    }
+
+    // Video rendering methods
+    getEncoderSettingsForQuality(quality) {
+        const settings = {
+            low: { crf: 28, preset: 'veryfast' },
+            medium: { crf: 23, preset: 'fast' },
+            high: { crf: 18, preset: 'medium' }
+        };
+        return settings[quality] || settings.medium;
+    }
+
+    isVideoGenerating() {
+        return this.videoJob !== null;
+    }
+
+    /**
+     * Claim the camera's single render/processing slot, or throw (error.busy) if a job holds it.
+     * The claim is synchronous, so two requests arriving together can't both get the slot.
+     */
+    reserveVideoJob() {
+        if (this.videoJob) {
+            const error = new Error('Video generation already in progress');
+            error.busy = true;
+            throw error;
+        }
+        this.videoJob = { cancelled: false };
+        return this.videoJob;
+    }
+
+    releaseVideoJob(job) {
+        if (this.videoJob === job) {
+            this.videoJob = null;
+        }
+    }
+
+    // Run work(job) in the video slot; job is one reserveVideoJob() already handed out, or null to reserve now
+    async runInVideoSlot(job, work) {
+        const slot = job || this.reserveVideoJob();
+        try {
+            return await work(slot);
+        } finally {
+            this.releaseVideoJob(slot);
+        }
+    }
+
+    /**
+     * Render a session's frames to MP4. options: { applyOrientation, frames: 'raw' | 'processed',
+     * videoJob (a slot from reserveVideoJob) }.
+     */
+    generateVideo(config, onProgress = null, sessionId = null, options = {}) {
+        return this.runInVideoSlot(options.videoJob, job => this.renderVideo(job, config, onProgress, sessionId, options));
+    }
+
+    async renderVideo(job, config, onProgress, sessionId, options) {
+        // frames: 'processed' renders the copies processFrames() made instead of the captured frames
+        const useProcessed = options.frames === 'processed';
+        if (useProcessed && !sessionId) {
+            throw new Error('Only sessions have processed frames');
+        }
+
+        // getImageList returns newest first; ffmpeg needs capture order
+        const images = (await this.getImageList(sessionId, useProcessed)).reverse();
+        if (images.length === 0) {
+            throw new Error(useProcessed ? 'No processed frames; process the session first' : 'No captured images to render');
+        }
+
+        const manifest = sessionId
+            ? await this.sessionService.readManifest(sessionId).catch(() => null)
+            : null;
+        const processing = useProcessed ? await this.sessionService.readProcessingInfo(sessionId) : null;
+
+        await fs.mkdir(this.videoDir, { recursive: true });
+
+        const fps = parseInt(config.videoFps) || 30;
+        const encoder = this.getEncoderSettingsForQuality(config.videoQuality);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        // Cameras share the video library, so prefix renders from any camera but the default one
+        const cameraPrefix = this.cameraId === 'default' ? '' : `${this.cameraId}_`;
+        const filename = `${cameraPrefix}${sessionId || 'timelapse'}_${timestamp}.mp4`;
+        const filepath = path.join(this.videoDir, filename);
+        const listPath = path.join(this.videoDir, `.${filename}.txt`);
+
+        // concat demuxer list: one entry per frame, each shown for 1/fps seconds.
+        // The last frame is repeated because its duration is otherwise ignored.
+        const frameDuration = (1 / fps).toFixed(6);
+        const escapePath = (p) => p.replace(/'/g, "'\\''");
+        const listLines = images.map(image =>
+            `file '${escapePath(image.filepath)}'\nduration ${frameDuration}`
+        );
+        listLines.push(`file '${escapePath(images[images.length - 1].filepath)}'`);
+        await fs.writeFile(listPath, listLines.join('\n') + '\n');
+
+        // Optionally fix orientation of frames captured before ROTATION/FLIP_* were set.
+        // libx264 with yuv420p requires even dimensions, so scaling always comes last.
+        const videoFilters = [
+            ...(options.applyOrientation ? this.getOrientationFilters() : []),
+            'scale=trunc(iw/2)*2:trunc(ih/2)*2'
+        ];
+
+        const args = [
+            '-y',
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', listPath,
+            '-vf', videoFilters.join(','),
+            '-r', fps.toString(),
+            '-c:v', 'libx264',
+            '-preset', encoder.preset,
+            '-crf', encoder.crf.toString(),
+            '-pix_fmt', 'yuv420p',
+            '-movflags', '+faststart',
+            '-progress', 'pipe:1',
+            '-nostats',
+            filepath
+        ];
+
+        this.renderLog.info(`Rendering ${images.length} frames${useProcessed ? ' (processed)' : ''} to ${filename} at ${fps} fps (${config.videoQuality})`);
+
+        try {
+            await this.runFfmpegJob(job, args, images.length, onProgress);
+        } catch (error) {
+            // Don't leave a truncated video behind
+            await fs.unlink(filepath).catch(() => {});
             throw error;
+        } finally {
+            await fs.unlink(listPath).catch(() => {});
         }
+
+        if (onProgress) {
+            onProgress(100);
+        }
+
+        const stats = await fs.stat(filepath);
+        this.renderLog.info(`Video rendered successfully: ${filename}`);
+
+        // Sidecar metadata so the video library knows where the video came from
+        const metadata = {
+            filename,
+            createdAt: new Date().toISOString(),
+            fps,
+            quality: config.videoQuality,
+            orientation: options.applyOrientation ? { ...this.orientation } : null,
+            duration: images.length / fps,
+            source: {
+                cameraId: this.cameraId,
+                sessionId,
+                sessionName: manifest ? manifest.name : null,
+                preset: manifest ? manifest.preset || null : null,
+                // Periods the capture was down (crash/reboot), so the render has jumps there
+                gaps: manifest && manifest.gaps ? manifest.gaps : [],
+                // Deflicker/stabilize settings when rendered from processed frames
+                processing,
+                directory: path.dirname(images[0].filepath),
+                frameCount: images.length,
+                firstFrame: images[0].filename,
+                lastFrame: images[images.length - 1].filename
+            }
+        };
+        // VIDEO_DIR may have changed while rendering; the sidecar goes next to the video
+        await this.writeVideoMetadata(filename, metadata, path.dirname(filepath));
+
+        return {
+            filename,
+            filepath,
+            size: stats.size,
+            frameCount: images.length,
+            duration: metadata.duration
+        };
+    }
+
+    /**
+     * Write a deflickered and/or stabilized copy of a session's frames to its processed/ folder,
+     * replacing any earlier one, for generateVideo({ frames: 'processed' }). The copies keep the
+     * frames' names. options: { deflicker, stabilize, videoJob (as for generateVideo) }.
+     */
+    processFrames(config, sessionId, options = {}, onProgress = null) {
+        return this.runInVideoSlot(options.videoJob, job => this.writeProcessedFrames(job, config, sessionId, options, onProgress));
+    }
+
+    async writeProcessedFrames(job, config, sessionId, options, onProgress) {
+        if (!options.deflicker && !options.stabilize) {
+            throw new Error('Choose deflicker, stabilize or both');
+        }
+
+        const images = (await this.getImageList(sessionId)).reverse();
+        if (images.length === 0) {
+            throw new Error('No captured images to process');
+        }
+
+        // Frames are written next to the session and only replace processed/ once all of them are done
+        const processedDir = this.sessionService.getProcessedDir(sessionId);
+        const workDir = `${processedDir}.tmp`;
+        await fs.rm(workDir, { recursive: true, force: true });
+        await fs.mkdir(workDir, { recursive: true });
+
+        // A fixed frame duration keeps ffmpeg from dropping or duplicating frames, so output N is input N
+        const escapePath = (p) => p.replace(/'/g, "'\\''");
+        const listPath = path.join(workDir, 'frames.txt');
+        const frameDuration = (1 / PROCESSING_FPS).toFixed(6);
+        await fs.writeFile(listPath, images.map(image => `file '${escapePath(image.filepath)}'\nduration ${frameDuration}`).join('\n') + '\n');
+
+        // deflicker scales each frame's brightness to the average of the last DEFLICKER_WINDOW frames;
+        // deshake shifts frames to line up with the previous one and the crop hides the moving edges
+        const filters = [];
+        if (options.deflicker) {
+            filters.push(`deflicker=size=${config.deflickerWindow}:mode=am`);
+        }
+        if (options.stabilize) {
+            filters.push('deshake');
+            if (config.stabilizeCrop > 0) {
+                const keep = 1 - (2 * config.stabilizeCrop) / 100;
+                filters.push(`crop=trunc(iw*${keep}/2)*2:trunc(ih*${keep}/2)*2`);
+            }
+        }
+
+        const args = [
+            '-y',
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', listPath,
+            '-vf', filters.join(','),
+            '-r', PROCESSING_FPS.toString(),
+            '-q:v', '2',
+            '-progress', 'pipe:1',
+            '-nostats',
+            path.join(workDir, 'frame_%06d.jpg')
+        ];
+
+        this.renderLog.info(`Processing ${images.length} frames of ${sessionId} (${filters.join(', ')})`);
+
+        try {
+            await this.runFfmpegJob(job, args, images.length, onProgress);
+
+            const written = (await fs.readdir(workDir)).filter(file => file.startsWith('frame_')).sort();
+            if (written.length !== images.length) {
+                throw new Error(`ffmpeg wrote ${written.length} of ${images.length} frames`);
+            }
+            for (let index = 0; index < images.length; index++) {
+                await fs.rename(path.join(workDir, written[index]), path.join(workDir, images[index].filename));
+            }
+            await fs.unlink(listPath);
+
+            const info = {
+                processedAt: new Date().toISOString(),
+                frameCount: images.length,
+                deflicker: Boolean(options.deflicker),
+                deflickerWindow: options.deflicker ? config.deflickerWindow : null,
+                stabilize: Boolean(options.stabilize),
+                stabilizeCrop: options.stabilize ? config.stabilizeCrop : null
+            };
+            await this.sessionService.saveProcessingInfo(sessionId, info, workDir);
+
+            await fs.rm(processedDir, { recursive: true, force: true });
+            await fs.rename(workDir, processedDir);
+        } catch (error) {
+            await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+            throw error;
+        }
+
+        if (onProgress) {
+            onProgress(100);
+        }
+        this.renderLog.info(`Processed ${images.length} frames of ${sessionId}`);
+        return { sessionId, frameCount: images.length };
+    }
+
+    /**
+     * Run the ffmpeg pass of the video job holding the slot, reporting progress (0-99) from its
+     * frame count. Rejects with error.cancelled after cancelVideoGeneration().
+     */
+    runFfmpegJob(job, args, frameCount, onProgress) {
+        // Cancelled while the frame list was still being prepared
+        if (job.cancelled) {
+            return Promise.reject(createCancelledError());
+        }
+
+        let ffmpeg;
+        return new Promise((resolve, reject) => {
+            ffmpeg = spawn('ffmpeg', args);
+            this.videoProcess = ffmpeg;
+
+            let lastProgress = -1;
+            let stdoutBuffer = '';
+            let stderrTail = '';
+
+            // -progress writes key=value lines; frame=N tells us how far along we are
+            ffmpeg.stdout.on('data', (data) => {
+                stdoutBuffer += data.toString();
+                const lines = stdoutBuffer.split('\n');
+                stdoutBuffer = lines.pop();
+
+                for (const line of lines) {
+                    const match = line.match(/^frame=(\d+)/);
+                    if (!match) continue;
+
+                    const progress = Math.min(99, Math.floor((parseInt(match[1]) / frameCount) * 100));
+                    if (progress !== lastProgress) {
+                        lastProgress = progress;
+                        if (onProgress) {
+                            onProgress(progress);
+                        }
+                    }
+                }
+            });
+
+            // ffmpeg's banner and warnings only matter when debugging a render or processing pass
+            logger.pipeLines(ffmpeg.stderr, this.renderLog, 'debug', 'ffmpeg');
+            ffmpeg.stderr.on('data', (data) => {
+                stderrTail = (stderrTail + data.toString()).slice(-2000);
+            });
+
+            ffmpeg.on('error', (error) => {
+                if (error.code === 'ENOENT') {
+                    reject(new Error('ffmpeg not found. Install it with: sudo apt-get install ffmpeg'));
+                } else {
+                    reject(error);
+                }
+            });
+
+            ffmpeg.on('close', (code, signal) => {
+                if (job.cancelled) {
+                    reject(createCancelledError());
+                } else if (code === 0) {
+                    resolve();
+                } else {
+                    const lastLine = stderrTail.trim().split('\n').pop();
+                    reject(new Error(`ffmpeg exited with ${signal || `code ${code}`}: ${lastLine}`));
+                }
+            });
+        }).finally(() => {
+            if (this.videoProcess === ffmpeg) {
+                this.videoProcess = null;
+            }
+        });
+    }
+
+    cancelVideoGeneration() {
+        if (!this.videoJob) {
+            return false;
+        }
+
+        this.renderLog.info('Cancelling video generation...');
+        this.videoJob.cancelled = true;
+        if (this.videoProcess) {
+            this.videoProcess.kill('SIGTERM');
+        }
+        return true;
+    }
+
+    // Video library methods
+    resolveVideoPath(filename) {
+        // Only bare .mp4 names inside videoDir are allowed (no traversal)
+        if (typeof filename !== 'string' || path.basename(filename) !== filename || !filename.toLowerCase().endsWith('.mp4')) {
+            throw new Error('Invalid video filename');
+        }
+        return path.join(this.videoDir, filename);
+    }
+
+    getVideoMetadataPath(filename, videoDir = this.videoDir) {
+        return path.join(videoDir, filename.replace(/\.mp4$/i, '.json'));
+    }
+
+    async readVideoMetadata(filename) {
+        try {
+            return JSON.parse(await fs.readFile(this.getVideoMetadataPath(filename), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async writeVideoMetadata(filename, metadata, videoDir = this.videoDir) {
+        try {
+            await fs.writeFile(this.getVideoMetadataPath(filename, videoDir), JSON.stringify(metadata, null, 2));
+        } catch (error) {
+            this.renderLog.error(`Failed to write metadata for ${filename}:`, error);
+        }
+    }
+
+    async probeVideo(filepath) {
+        const { stdout } = await execFileAsync('ffprobe', [
+            '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=width,height:format=duration', '-of', 'json', filepath
+        ]);
+        const probe = JSON.parse(stdout);
+        const stream = (probe.streams && probe.streams[0]) || {};
+        return {
+            duration: parseFloat(probe.format && probe.format.duration) || null,
+            width: stream.width || null,
+            height: stream.height || null
+        };
+    }
+
+    async getVideoList() {
+        try {
+            const files = await fs.readdir(this.videoDir);
+            const videoFiles = files.filter(file => file.toLowerCase().endsWith('.mp4'));
+
+            const videoList = await Promise.all(
+                videoFiles.map(async (file) => {
+                    const filepath = path.join(this.videoDir, file);
+                    const stats = await fs.stat(filepath);
+                    const metadata = await this.readVideoMetadata(file);
+
+                    // Probe once and cache the result in the sidecar
+                    if (!metadata.width || !metadata.height) {
+                        try {
+                            Object.assign(metadata, await this.probeVideo(filepath));
+                            await this.writeVideoMetadata(file, { filename: file, ...metadata });
+                        } catch (error) {
+                            this.log.error(`Failed to probe ${file}:`, error.message);
+                        }
+                    }
+
+                    return {
+                        filename: file,
+                        size: stats.size,
+                        created: metadata.createdAt ? new Date(metadata.createdAt) : stats.birthtime,
+                        duration: metadata.duration || null,
+                        width: metadata.width || null,
+                        height: metadata.height || null,
+                        fps: metadata.fps || null,
+                        source: metadata.source || null
+                    };
+                })
+            );
+
+            return videoList.sort((a, b) => b.created - a.created);
+        } catch (error) {
+            this.log.error('Failed to get video list:', error);
+            return [];
+        }
+    }
+
+    async deleteVideo(filename) {
+        const filepath = this.resolveVideoPath(filename);
+
+        await fs.unlink(filepath);
+        await fs.unlink(this.getVideoMetadataPath(filename)).catch(() => {});
+        this.log.info(`Deleted video ${filename}`);
+        return true;
     }
 
     // Camera access control methods
@@ -262,35 +1506,49 @@ class CameraService {
         this.cameraInUse = false;
     }
 
-    // Centralized stream control methods
-    async startStream(config, onNotification = null) {
+    releaseTimelapseCamera() {
+        if (this.cameraInUse === 'timelapse') {
+            this.releaseCamera();
+        }
+    }
+
+    // Centralized stream control methods. isRestart is set by the watchdog; any other start
+    // begins a fresh series of restart attempts.
+    async startStream(config, onNotification = null, isRestart = false) {
+        if (!isRestart) {
+            this.resetStreamRestart();
+        }
         if (this.streamProcess) {
             throw new Error('Stream already running');
         }
-        if (this.isCapturing) {
+        if (this.isCapturing && this.captureBackend.needsExclusiveCamera) {
             throw new Error('Cannot start stream while timelapse is active');
         }
 
         try {
             this.acquireCamera('stream');
-            console.log('Attempting to start live stream with mjpeg-streamer...');
+            this.streamLog.info('Attempting to start live stream with mjpeg-streamer...');
             
             // Store current stream configuration
             this.currentStreamConfig = { ...config };
             
-            const resolution = this.getResolutionForQuality(config.streamQuality);
+            const settings = { ...this.streamSettings };
+            const inputArgument = this.getStreamInputArgument(config, settings);
+            this.streamLog.info(`mjpg-streamer input: ${inputArgument} (port ${settings.port})`);
             
-            this.streamProcess = spawn(this.mjpegStreamerPath, [
-                '-i', `input_uvc.so -d /dev/video0 -r ${resolution} -f ${config.streamFps}`,
-                '-o', `output_http.so -w ${this.mjpegStreamerWwwPath} -p 8080`
+            const streamProcess = spawn(settings.path, [
+                '-i', inputArgument,
+                '-o', `output_http.so -w ${settings.wwwPath} -p ${settings.port} -l ${settings.bindAddress}`
             ]);
+            const startedAt = Date.now();
+            this.streamProcess = streamProcess;
+            this.activeStreamSettings = settings;
 
-            // Monitor stderr for readiness
+            // mjpg-streamer reports everything on stderr; it is logged line by line and watched for readiness
+            logger.pipeLines(streamProcess.stderr, this.streamLog, 'info', 'mjpg-streamer');
             let streamReadyEmitted = false;
-            this.streamProcess.stderr.on('data', (data) => {
+            streamProcess.stderr.on('data', (data) => {
                 const stderrOutput = data.toString();
-                console.log(`mjpeg-streamer stderr: ${stderrOutput}`);
-                
                 if (stderrOutput.includes('o: commands.............: enabled') && !streamReadyEmitted) {
                     streamReadyEmitted = true;
                     if (onNotification) {
@@ -299,22 +1557,34 @@ class CameraService {
                 }
             });
 
-            this.streamProcess.on('error', (error) => {
-                console.error('mjpeg-streamer error:', error);
-                this.streamProcess = null;
-                this.releaseCamera();
+            // Failing to launch at all (e.g. a wrong MJPG_STREAMER_PATH) is not restarted
+            streamProcess.on('error', (error) => {
+                this.streamLog.error('mjpeg-streamer error:', error);
+                if (this.streamProcess === streamProcess) {
+                    this.streamProcess = null;
+                    this.activeStreamSettings = null;
+                    this.releaseCamera();
+                }
                 if (onNotification) {
                     onNotification('stream-error', `Stream failed: ${error.message}`);
                 }
             });
 
-            this.streamProcess.on('close', (code) => {
-                console.log(`mjpeg-streamer process exited with code ${code}`);
+            // stopStream() forgets the process before killing it, so a process that is still
+            // current when it exits has crashed and is handed to the watchdog
+            streamProcess.on('close', (code, signal) => {
+                this.streamLog.info(`mjpeg-streamer process exited with ${signal || `code ${code}`}`);
+                if (this.streamProcess !== streamProcess) {
+                    if (onNotification) {
+                        onNotification('stream-stopped', 'Live preview stopped');
+                    }
+                    return;
+                }
+
                 this.streamProcess = null;
+                this.activeStreamSettings = null;
                 this.releaseCamera();
-                if (onNotification) {
-                    onNotification('stream-stopped', 'Live preview stopped');
-                }
+                this.handleStreamExit(config, onNotification, { code, signal, uptimeMs: Date.now() - startedAt });
             });
 
             return true;
@@ -324,12 +1594,85 @@ class CameraService {
         }
     }
 
+    /**
+     * Restart a crashed stream after a doubling delay, up to STREAM_RESTART_ATTEMPTS times in a row
+     */
+    handleStreamExit(config, onNotification, exit) {
+        const restart = this.streamRestart;
+        const { streamRestartAttempts, streamRestartDelay } = this.watchdogSettings;
+        const reason = exit.error || (exit.signal ? `signal ${exit.signal}` : `exit code ${exit.code}`);
+        const notify = (event, message) => {
+            if (onNotification) onNotification(event, message);
+        };
+
+        if (exit.uptimeMs >= STREAM_STABLE_MS) {
+            restart.attempts = 0;
+        }
+        restart.lastExit = { at: new Date().toISOString(), reason };
+
+        if (restart.attempts >= streamRestartAttempts) {
+            restart.gaveUp = true;
+            this.streamLog.error(`mjpg-streamer stopped (${reason}); giving up after ${restart.attempts} restart attempts`);
+            notify('stream-failed', `Live preview stopped unexpectedly (${reason}) and was not restarted`);
+            return;
+        }
+
+        const delayMs = getBackoffDelay(streamRestartDelay, restart.attempts);
+        restart.attempts++;
+        restart.nextAt = new Date(Date.now() + delayMs).toISOString();
+        this.streamLog.warn(`mjpg-streamer stopped (${reason}); restarting in ${delayMs / 1000}s (attempt ${restart.attempts} of ${streamRestartAttempts})`);
+        notify('stream-restarting', `Live preview stopped unexpectedly (${reason}); restarting in ${delayMs / 1000}s (attempt ${restart.attempts} of ${streamRestartAttempts})`);
+
+        restart.timer = setTimeout(async () => {
+            restart.timer = null;
+            restart.nextAt = null;
+            try {
+                await this.startStream(config, onNotification, true);
+            } catch (error) {
+                this.streamLog.error('Failed to restart mjpg-streamer:', error.message);
+                this.handleStreamExit(config, onNotification, { error: error.message, uptimeMs: 0 });
+            }
+        }, delayMs);
+    }
+
+    resetStreamRestart() {
+        if (this.streamRestart.timer) {
+            clearTimeout(this.streamRestart.timer);
+        }
+        this.streamRestart = { attempts: 0, timer: null, nextAt: null, lastExit: this.streamRestart.lastExit, gaveUp: false };
+    }
+
+    /**
+     * Stream watchdog and capture retry state for the status payload
+     */
+    getWatchdogStatus() {
+        const restart = this.streamRestart;
+        return {
+            capture: {
+                consecutiveFailures: this.consecutiveFailures,
+                failureThreshold: this.watchdogSettings.captureFailureThreshold,
+                retry: this.captureRetry,
+                lastError: this.lastCaptureError
+            },
+            stream: {
+                restartAttempts: restart.attempts,
+                maxRestartAttempts: this.watchdogSettings.streamRestartAttempts,
+                restarting: Boolean(restart.timer),
+                nextRestartAt: restart.nextAt,
+                lastExit: restart.lastExit,
+                gaveUp: restart.gaveUp
+            }
+        };
+    }
+
     async stopStream() {
+        this.resetStreamRestart();
         if (this.streamProcess) {
-            console.log('Stopping mjpeg-streamer...');
+            this.streamLog.info('Stopping mjpeg-streamer...');
             this.streamProcess.kill('SIGKILL');
             this.streamProcess = null;
         }
+        this.activeStreamSettings = null;
         this.streamWasActive = false;
         this.currentStreamConfig = null; // Clear stored config
         this.releaseCamera();
@@ -345,6 +1688,7 @@ class CameraService {
     }
 
     cleanup() {
+        this.cancelVideoGeneration();
         this.stopTimelapse();
         this.stopStream(); // Use centralized cleanup
     }
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+
+// Brightness drifts through a slow "day" so downstream steps see changing frames
+const BRIGHTNESS_CYCLE_MS = 10 * 60 * 1000;
+
+// Shutter x gain at which a manual exposure looks like the automatic one
+const REFERENCE_EXPOSURE = 10000;
+const DISPLAY_GAMMA = 2.2;
+
+// Camera-less backend for development: writes generated grayscale JPEGs without
+// needing any external tool.
+class FakeBackend {
+    constructor() {
+        this.name = 'fake';
+        this.needsExclusiveCamera = false;
+        this.usesStream = false;
+        this.exposureControls = ['shutter', 'gain'];
+    }
+
+    async capture(filepath, settings) {
+        const phase = (Date.now() % BRIGHTNESS_CYCLE_MS) / BRIGHTNESS_CYCLE_MS;
+        let level = 128 + 80 * Math.sin(phase * 2 * Math.PI);
+
+        // A fixed shutter/gain scales the light the way a real sensor would, so exposure ramping can be tried out
+        const exposure = settings.exposure || {};
+        if (exposure.shutter || exposure.gain) {
+            const scale = ((exposure.shutter || REFERENCE_EXPOSURE) * (exposure.gain || 1)) / REFERENCE_EXPOSURE;
+            level = 255 * Math.min(1, (level / 255) ** DISPLAY_GAMMA * scale) ** (1 / DISPLAY_GAMMA);
+        }
+        await fs.writeFile(filepath, FakeBackend.encodeSolidJpeg(settings.width, settings.height, Math.round(level)));
+    }
+
+    /**
+     * Encode a single-colour baseline grayscale JPEG.
+     * Every 8x8 block has the same DC value and no AC energy, so the scan is one
+     * coded DC value followed by "DC diff 0, EOB" for each remaining block.
+     */
+    static encodeSolidJpeg(width, height, level) {
+        // With an all-ones quantization table the DC coefficient is 8 * (level - 128)
+        const dc = 8 * (Math.max(0, Math.min(255, level)) - 128);
+        const category = dc === 0 ? 0 : Math.floor(Math.log2(Math.abs(dc))) + 1;
+        const blocks = Math.ceil(width / 8) * Math.ceil(height / 8);
+
+        const segment = (marker, payload) => {
+            const length = payload.length + 2;
+            return Buffer.from([0xFF, marker, length >> 8, length & 0xFF, ...payload]);
+        };
+
+        const quantTable = segment(0xDB, [0x00, ...new Array(64).fill(1)]);
+        const frameHeader = segment(0xC0, [8, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 1, 1, 0x11, 0]);
+        // DC table: "00" -> category 0, "01" -> the first block's category
+        const dcTable = segment(0xC4, [0x00, 0, 2, ...new Array(14).fill(0), 0, category === 0 ? 1 : category]);
+        // AC table: "0" -> end of block
+        const acTable = segment(0xC4, [0x10, 1, ...new Array(15).fill(0), 0x00]);
+        const scanHeader = segment(0xDA, [1, 1, 0x00, 0, 63, 0]);
+
+        const bytes = [];
+        let accumulator = 0;
+        let bitCount = 0;
+        const writeBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                accumulator = (accumulator << 1) | ((value >> i) & 1);
+                bitCount++;
+                if (bitCount === 8) {
+                    bytes.push(accumulator);
+                    if (accumulator === 0xFF) bytes.push(0x00); // Byte stuffing
+                    accumulator = 0;
+                    bitCount = 0;
+                }
+            }
+        };
+
+        // First block carries the DC value, every later block repeats it (diff 0)
+        writeBits(category === 0 ? 0b00 : 0b01, 2);
+        if (category > 0) {
+            writeBits(dc > 0 ? dc : dc + (1 << category) - 1, category);
+        }
+        writeBits(0, 1);
+        for (let i = 1; i < blocks; i++) {
+            writeBits(0, 3);
+        }
+        // Pad the final byte with 1s
+        if (bitCount > 0) {
+            writeBits((1 << (8 - bitCount)) - 1, 8 - bitCount);
+        }
+
+        return Buffer.concat([
+            Buffer.from([0xFF, 0xD8]),
+            quantTable,
+            frameHeader,
+            dcTable,
+            acTable,
+            scanHeader,
+            Buffer.from(bytes),
+            Buffer.from([0xFF, 0xD9])
+        ]);
+    }
+}
+
+module.exports = FakeBackend;
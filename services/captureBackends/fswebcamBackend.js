@@ -0,0 +1,71 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// UVC cameras set white balance as a colour temperature rather than a named preset
+const WHITE_BALANCE_KELVIN = {
+    incandescent: 2700,
+    tungsten: 3200,
+    fluorescent: 4000,
+    indoor: 4500,
+    daylight: 5500,
+    cloudy: 6500
+};
+
+// USB/UVC webcams via fswebcam
+class FswebcamBackend {
+    constructor(options = {}) {
+        this.name = 'fswebcam';
+        this.needsExclusiveCamera = true; // mjpg-streamer must release the device first
+        this.usesStream = false;
+        // UVC gain has no common scale, so GAIN is left to the camera
+        this.exposureControls = ['shutter', 'whiteBalance'];
+        this.device = FswebcamBackend.resolveDevice(options.device);
+    }
+
+    // CAMERA_DEVICE may be an index ("0") or a device path ("/dev/video0")
+    static resolveDevice(device) {
+        if (device === undefined || device === null || device === '') return '/dev/video0';
+        return /^\d+$/.test(String(device)) ? `/dev/video${device}` : String(device);
+    }
+
+    getOrientationArgs(settings) {
+        const args = [];
+        const flips = [];
+        if (settings.flipHorizontal) flips.push('h');
+        if (settings.flipVertical) flips.push('v');
+        if (flips.length > 0) args.push('--flip', flips.join(','));
+        // fswebcam applies --rotate after --flip, matching the order used everywhere else
+        if (settings.rotation) args.push('--rotate', String(settings.rotation));
+        return args;
+    }
+
+    // V4L2 controls; UVC absolute exposure is in units of 100 µs
+    getExposureArgs(exposure = {}) {
+        const args = [];
+        if (exposure.shutter) {
+            args.push('-s', 'Exposure, Auto=Manual Mode', '-s', `Exposure (Absolute)=${Math.max(1, Math.round(exposure.shutter / 100))}`);
+        }
+        const kelvin = WHITE_BALANCE_KELVIN[exposure.whiteBalance];
+        if (kelvin) {
+            args.push('-s', 'White Balance Temperature, Auto=0', '-s', `White Balance Temperature=${kelvin}`);
+        }
+        return args;
+    }
+
+    // Arguments go to fswebcam directly, without a shell, so device and path are never interpreted
+    async capture(filepath, settings) {
+        const args = [
+            '-d', this.device,
+            '-r', `${settings.width}x${settings.height}`,
+            '--no-banner',
+            ...this.getOrientationArgs(settings),
+            ...this.getExposureArgs(settings.exposure),
+            filepath
+        ];
+        await execFileAsync('fswebcam', args);
+    }
+}
+
+module.exports = FswebcamBackend;
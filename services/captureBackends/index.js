@@ -0,0 +1,33 @@
+const LibcameraBackend = require('./libcameraBackend');
+const FswebcamBackend = require('./fswebcamBackend');
+const MjpgSnapshotBackend = require('./mjpgSnapshotBackend');
+const FakeBackend = require('./fakeBackend');
+
+// CAMERA_TYPE values (and aliases) mapped to capture backends
+const BACKENDS = {
+    libcamera: LibcameraBackend,
+    rpicam: LibcameraBackend,
+    fswebcam: FswebcamBackend,
+    usb: FswebcamBackend,
+    'mjpg-snapshot': MjpgSnapshotBackend,
+    snapshot: MjpgSnapshotBackend,
+    fake: FakeBackend
+};
+
+/**
+ * Create the capture backend for a CAMERA_TYPE.
+ * options: { device, streamHost, streamPort, getStreamHost, getStreamPort }
+ */
+function createCaptureBackend(cameraType, options = {}) {
+    const Backend = BACKENDS[String(cameraType || '').toLowerCase()];
+    if (!Backend) {
+        throw new Error(`Unknown CAMERA_TYPE "${cameraType}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return new Backend(options);
+}
+
+module.exports = {
+    createCaptureBackend,
+    resolveVideoDevice: FswebcamBackend.resolveDevice,
+    BACKEND_TYPES: Object.keys(BACKENDS)
+};
@@ -0,0 +1,82 @@
+const { exec, execFile } = require('child_process');
+const { promisify } = require('util');
+const log = require('../logger').child('camera');
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Raspberry Pi camera modules via rpicam-still (Bookworm) or libcamera-still (Bullseye)
+class LibcameraBackend {
+    constructor(options = {}) {
+        this.name = 'libcamera';
+        this.needsExclusiveCamera = true;
+        this.usesStream = false;
+        this.exposureControls = ['shutter', 'gain', 'whiteBalance'];
+        this.cameraIndex = /^\d+$/.test(String(options.device)) ? parseInt(options.device) : 0;
+        this.binary = null; // Resolved on first capture
+        this.warnedRotation = false;
+    }
+
+    async resolveBinary() {
+        if (this.binary) return this.binary;
+
+        for (const candidate of ['rpicam-still', 'libcamera-still']) {
+            try {
+                await execAsync(`command -v ${candidate}`);
+                this.binary = candidate;
+                return candidate;
+            } catch (error) {
+                // Try the next name
+            }
+        }
+        throw new Error('Neither rpicam-still nor libcamera-still found. Install with: sudo apt-get install rpicam-apps');
+    }
+
+    getOrientationArgs(settings) {
+        // libcamera only rotates by 0 or 180 (done in the sensor readout); 180 is the same as both flips
+        let hflip = Boolean(settings.flipHorizontal);
+        let vflip = Boolean(settings.flipVertical);
+
+        if (settings.rotation === 180) {
+            hflip = !hflip;
+            vflip = !vflip;
+        } else if (settings.rotation === 90 || settings.rotation === 270) {
+            if (!this.warnedRotation) {
+                log.warn(`libcamera cannot rotate by ${settings.rotation} degrees; capturing unrotated (rotate at render time instead)`);
+                this.warnedRotation = true;
+            }
+        }
+
+        const args = [];
+        if (hflip) args.push('--hflip');
+        if (vflip) args.push('--vflip');
+        return args;
+    }
+
+    // A fixed shutter and/or gain turns the camera's automatic exposure off for that value
+    getExposureArgs(exposure = {}) {
+        const args = [];
+        if (exposure.shutter) args.push('--shutter', String(exposure.shutter));
+        if (exposure.gain) args.push('--gain', String(exposure.gain));
+        if (exposure.whiteBalance && exposure.whiteBalance !== 'auto') args.push('--awb', exposure.whiteBalance);
+        return args;
+    }
+
+    // Run without a shell so the output path is passed through as-is
+    async capture(filepath, settings) {
+        const binary = await this.resolveBinary();
+        const args = [
+            // -n: no preview window, -t 1: capture right away instead of the default 5s preview
+            '-n', '-t', '1',
+            '--camera', String(this.cameraIndex),
+            '--width', String(settings.width),
+            '--height', String(settings.height),
+            ...this.getOrientationArgs(settings),
+            ...this.getExposureArgs(settings.exposure),
+            '-o', filepath
+        ];
+        await execFileAsync(binary, args);
+    }
+}
+
+module.exports = LibcameraBackend;
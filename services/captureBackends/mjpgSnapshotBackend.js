@@ -0,0 +1,58 @@
+const http = require('http');
+const fs = require('fs').promises;
+
+const SNAPSHOT_ATTEMPTS = 10;
+const SNAPSHOT_RETRY_DELAY_MS = 500;
+
+// Pulls a still from mjpg-streamer's ?action=snapshot, so the live preview keeps running.
+// Frames come out at the stream resolution rather than the capture resolution.
+class MjpgSnapshotBackend {
+    constructor(options = {}) {
+        this.name = 'mjpg-snapshot';
+        this.needsExclusiveCamera = false;
+        this.usesStream = true; // CameraService keeps the stream running while capturing
+        this.exposureControls = []; // Frames are exposed by the stream's input plugin (MJPG_INPUT_OPTIONS)
+        // Follow the stream's address and port as they are reconfigured, or use fixed ones
+        this.getHost = options.getStreamHost || (() => options.streamHost || '127.0.0.1');
+        this.getPort = options.getStreamPort || (() => options.streamPort || 8080);
+    }
+
+    fetchSnapshot() {
+        return new Promise((resolve, reject) => {
+            const request = http.get({ host: this.getHost(), port: this.getPort(), path: '/?action=snapshot', timeout: 5000 }, (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(new Error(`mjpg-streamer snapshot returned HTTP ${response.statusCode}`));
+                    return;
+                }
+
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => resolve(Buffer.concat(chunks)));
+                response.on('error', reject);
+            });
+
+            request.on('timeout', () => request.destroy(new Error('mjpg-streamer snapshot timed out')));
+            request.on('error', reject);
+        });
+    }
+
+    async capture(filepath) {
+        let lastError;
+
+        // The stream may have only just been started, so give it a few seconds to come up
+        for (let attempt = 1; attempt <= SNAPSHOT_ATTEMPTS; attempt++) {
+            try {
+                const image = await this.fetchSnapshot();
+                await fs.writeFile(filepath, image);
+                return;
+            } catch (error) {
+                lastError = error;
+                await new Promise(resolve => setTimeout(resolve, SNAPSHOT_RETRY_DELAY_MS));
+            }
+        }
+        throw new Error(`Snapshot failed after ${SNAPSHOT_ATTEMPTS} attempts: ${lastError.message}`);
+    }
+}
+
+module.exports = MjpgSnapshotBackend;
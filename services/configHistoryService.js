@@ -0,0 +1,109 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./fileUtils');
+const log = require('./logger').child('config');
+
+// Snapshots kept before the oldest is dropped
+const MAX_CONFIG_HISTORY = 20;
+
+// Rolling history of .env contents. Every save stores the file as it was before the save,
+// with when, who and which settings changed, as <id>.json in historyDir.
+class ConfigHistoryService {
+    constructor(historyDir, limit = MAX_CONFIG_HISTORY) {
+        this.historyDir = historyDir;
+        this.limit = limit;
+    }
+
+    /**
+     * Build a sortable, filesystem-safe id from the save time
+     */
+    createEntryId(date = new Date()) {
+        return date.toISOString().replace(/:/g, '-').replace('.', '-');
+    }
+
+    getEntryPath(id) {
+        if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+            return null;
+        }
+        return path.join(this.historyDir, `${id}.json`);
+    }
+
+    /**
+     * Store the previous .env content, then drop snapshots beyond the limit
+     */
+    async record(content, { author, changes, reason = null }) {
+        await fs.mkdir(this.historyDir, { recursive: true, mode: 0o700 });
+
+        const savedAt = new Date();
+        let id = this.createEntryId(savedAt);
+        // Two saves within the same millisecond still get their own entry
+        for (let suffix = 1; await this.exists(this.getEntryPath(id)); suffix++) {
+            id = `${this.createEntryId(savedAt)}-${suffix}`;
+        }
+
+        const entry = { id, savedAt: savedAt.toISOString(), author, changes, reason, content };
+        // Snapshots can hold API_KEY, so only the server user may read them
+        await writeFileAtomic(this.getEntryPath(id), JSON.stringify(entry, null, 2), { mode: 0o600 });
+
+        await this.prune();
+        return entry;
+    }
+
+    async exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async listIds() {
+        try {
+            const files = await fs.readdir(this.historyDir);
+            return files
+                .filter(file => file.endsWith('.json'))
+                .map(file => file.slice(0, -'.json'.length))
+                .sort()
+                .reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Entries without their content, newest first
+     */
+    async list() {
+        const entries = await Promise.all((await this.listIds()).map(id => this.get(id)));
+        return entries
+            .filter(Boolean)
+            .map(({ content, ...summary }) => summary);
+    }
+
+    /**
+     * A full entry including the stored .env content, or null if there is no such entry
+     */
+    async get(id) {
+        const entryPath = this.getEntryPath(id);
+        if (!entryPath) return null;
+        try {
+            return JSON.parse(await fs.readFile(entryPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`Ignoring unreadable config history entry ${id}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    async prune() {
+        const ids = await this.listIds();
+        for (const id of ids.slice(this.limit)) {
+            await fs.rm(this.getEntryPath(id), { force: true });
+        }
+    }
+}
+
+module.exports = ConfigHistoryService;
@@ -0,0 +1,286 @@
+const { BACKEND_TYPES } = require('./captureBackends');
+const { SOLAR_EVENTS, MAX_OFFSET_MINUTES, parseSolarTime, formatSolarTime } = require('./solar');
+
+const QUALITY_LEVELS = ['high', 'medium', 'low'];
+const PORT_RANGE = { min: 1, max: 65535 };
+// Device and folder settings are handed to capture tools and df, so they are held to plain
+// characters; a leading "-" would read as an option
+const DEVICE_RULE = { pattern: /^(\d+|\/dev\/[\w.:/-]+)$/, patternHint: 'a camera index (e.g. 0) or a /dev path (e.g. /dev/video0)' };
+const FOLDER_RULE = { pattern: /^(?!-)[\w ./-]+$/, patternHint: 'a folder path of letters, digits, spaces and . _ - /, not starting with -' };
+// interval: every CAPTURE_INTERVAL; change: only frames that differ from the last one kept;
+// motion/burst: one frame or a burst whenever consecutive check frames show motion
+const CAPTURE_MODES = ['interval', 'change', 'motion', 'burst'];
+// times: SCHEDULE_START_TIME to SCHEDULE_STOP_TIME; golden-hour*: from sunrise until the sun is 6° up
+// and/or from 6° until sunset, computed each day for LATITUDE/LONGITUDE
+const SCHEDULE_TYPES = ['times', 'golden-hour', 'golden-hour-morning', 'golden-hour-evening'];
+// auto: the camera's own exposure; manual: SHUTTER_SPEED / GAIN; ramp: metered and adjusted every frame
+const EXPOSURE_MODES = ['auto', 'manual', 'ramp'];
+const WHITE_BALANCE_MODES = ['auto', 'incandescent', 'tungsten', 'fluorescent', 'indoor', 'daylight', 'cloudy'];
+
+// Rules for every setting in .env. Defaults live in ConfigService.defaultConfig.
+// type: integer | number | boolean | string | time ("HH:MM") | scheduleTime ("HH:MM" or a solar time such as
+// "sunset+30"), plus optional min/max, values (allowed values) and pattern. optional settings may be left
+// empty, which means not set (null). The settings page is generated from group/label/unit; applies lists what has to be
+// restarted before a change is used ('capture', 'stream'; empty means right away) and settings with
+// editable: false can only be changed in .env followed by a server restart. preset: true settings
+// describe a kind of shoot and are what named presets save and apply.
+const CONFIG_SCHEMA = {
+    // Server Configuration
+    PORT: { type: 'integer', ...PORT_RANGE, group: 'Server', label: 'Web server port', editable: false },
+    NODE_ENV: { type: 'string', group: 'Server', label: 'Node environment', editable: false },
+    HOST: { type: 'string', group: 'Server', label: 'Bind address', editable: false },
+
+    // MJPG-Streamer Configuration
+    MJPG_STREAMER_PORT: { type: 'integer', ...PORT_RANGE, group: 'Stream', label: 'mjpg-streamer port', applies: ['stream'] },
+    MJPG_STREAMER_PATH: { type: 'string', group: 'Server', label: 'mjpg-streamer binary', editable: false },
+    MJPG_STREAMER_WWW: { type: 'string', group: 'Server', label: 'mjpg-streamer www folder', editable: false },
+    MJPG_STREAMER_AUTOSTART: { type: 'boolean', group: 'Server', label: 'mjpg-streamer autostart', editable: false },
+
+    // Timelapse Settings
+    CAPTURE_INTERVAL: { type: 'integer', min: 1, max: 86400, group: 'Capture', label: 'Capture interval', unit: 's', applies: ['capture'], preset: true },
+    OUTPUT_DIR: { type: 'string', ...FOLDER_RULE, group: 'Capture', label: 'Image folder', applies: ['capture'] },
+    IMAGE_QUALITY: { type: 'string', values: [...QUALITY_LEVELS, 'custom'], group: 'Capture', label: 'Image quality (custom uses the resolution below)', applies: ['capture'], preset: true },
+    MAX_STORAGE_GB: { type: 'number', min: 0, group: 'Storage', label: 'Maximum storage', unit: 'GB' },
+
+    // Capture modes: every interval, only changed frames, or triggered by motion between check frames
+    CAPTURE_MODE: { type: 'string', values: CAPTURE_MODES, lowercase: true, group: 'Capture', label: 'Capture mode', applies: ['capture'], preset: true },
+    CHANGE_THRESHOLD: { type: 'number', min: 0, max: 100, group: 'Capture', label: 'Keep a frame when at least this much changed (change mode)', unit: '%', applies: ['capture'], preset: true },
+    MOTION_THRESHOLD: { type: 'number', min: 0.1, max: 100, group: 'Capture', label: 'Motion when at least this much of the picture changed', unit: '%', applies: ['capture'], preset: true },
+    MOTION_CHECK_INTERVAL: { type: 'number', min: 0.2, max: 60, group: 'Capture', label: 'Check the preview for motion every', unit: 's', applies: ['capture'], preset: true },
+    BURST_COUNT: { type: 'integer', min: 1, max: 100, group: 'Capture', label: 'Frames per burst (burst mode)', applies: ['capture'], preset: true },
+    BURST_SPACING: { type: 'number', min: 0, max: 60, group: 'Capture', label: 'Time between burst frames', unit: 's', applies: ['capture'], preset: true },
+
+    // Camera Settings
+    CAMERA_TYPE: { type: 'string', values: BACKEND_TYPES, lowercase: true, group: 'Camera', label: 'Capture backend', applies: ['capture'] },
+    CAMERA_DEVICE: { type: 'string', ...DEVICE_RULE, group: 'Camera', label: 'Camera device (index or /dev path)', applies: ['capture', 'stream'] },
+    RESOLUTION_WIDTH: { type: 'integer', min: 16, max: 10000, group: 'Capture', label: 'Custom resolution width', unit: 'px', applies: ['capture'], preset: true },
+    RESOLUTION_HEIGHT: { type: 'integer', min: 16, max: 10000, group: 'Capture', label: 'Custom resolution height', unit: 'px', applies: ['capture'], preset: true },
+    STREAM_WIDTH: { type: 'integer', min: 16, max: 10000, group: 'Stream', label: 'Stream width', unit: 'px', applies: ['stream'] },
+    STREAM_HEIGHT: { type: 'integer', min: 16, max: 10000, group: 'Stream', label: 'Stream height', unit: 'px', applies: ['stream'] },
+    STREAM_FPS: { type: 'integer', min: 1, max: 60, group: 'Stream', label: 'Stream frame rate', unit: 'fps', applies: ['stream'] },
+    ROTATION: { type: 'integer', values: [0, 90, 180, 270], group: 'Camera', label: 'Rotation (clockwise)', unit: '°', applies: ['stream'] },
+    FLIP_HORIZONTAL: { type: 'boolean', group: 'Camera', label: 'Flip horizontally', applies: ['stream'] },
+    FLIP_VERTICAL: { type: 'boolean', group: 'Camera', label: 'Flip vertically', applies: ['stream'] },
+
+    // Exposure and white balance for captures (the live preview keeps the camera's automatic exposure)
+    EXPOSURE_MODE: { type: 'string', values: EXPOSURE_MODES, lowercase: true, group: 'Exposure', label: 'Exposure', applies: ['capture'], preset: true },
+    SHUTTER_SPEED: { type: 'integer', min: 0, max: 200000000, group: 'Exposure', label: 'Shutter speed (0 = auto; where ramping starts)', unit: 'µs', applies: ['capture'], preset: true },
+    GAIN: { type: 'number', min: 0, max: 64, group: 'Exposure', label: 'Gain, ISO / 100 (0 = auto)', applies: ['capture'], preset: true },
+    WHITE_BALANCE: { type: 'string', values: WHITE_BALANCE_MODES, lowercase: true, group: 'Exposure', label: 'White balance', applies: ['capture'], preset: true },
+    EXPOSURE_TARGET: { type: 'integer', min: 10, max: 245, group: 'Exposure', label: 'Ramp target brightness (0-255)', applies: ['capture'], preset: true },
+    RAMP_MAX_STEP: { type: 'number', min: 0.05, max: 3, group: 'Exposure', label: 'Ramp at most per frame', unit: 'EV', applies: ['capture'], preset: true },
+    RAMP_MIN_SHUTTER: { type: 'integer', min: 1, max: 200000000, group: 'Exposure', label: 'Ramp shortest shutter', unit: 'µs', applies: ['capture'], preset: true },
+    RAMP_MAX_SHUTTER: { type: 'integer', min: 1, max: 200000000, group: 'Exposure', label: 'Ramp longest shutter (also limited by the interval)', unit: 'µs', applies: ['capture'], preset: true },
+    RAMP_MAX_GAIN: { type: 'number', min: 1, max: 64, group: 'Exposure', label: 'Ramp highest gain', applies: ['capture'], preset: true },
+
+    // Watchdog: capture retries and stream restarts, both with a doubling delay
+    CAPTURE_RETRIES: { type: 'integer', min: 0, max: 10, group: 'Watchdog', label: 'Retries for a failed capture' },
+    CAPTURE_RETRY_DELAY: { type: 'integer', min: 1, max: 300, group: 'Watchdog', label: 'First capture retry after (doubles per retry)', unit: 's' },
+    CAPTURE_FAILURE_THRESHOLD: { type: 'integer', min: 1, max: 1000, group: 'Watchdog', label: 'Stop the session after this many failed captures in a row' },
+    STREAM_RESTART_ATTEMPTS: { type: 'integer', min: 0, max: 100, group: 'Watchdog', label: 'Restart a crashed stream up to (0 = never)', unit: 'times' },
+    STREAM_RESTART_DELAY: { type: 'integer', min: 1, max: 300, group: 'Watchdog', label: 'First stream restart after (doubles per attempt)', unit: 's' },
+
+    // Video Generation Settings
+    VIDEO_FPS: { type: 'integer', min: 1, max: 120, group: 'Video', label: 'Video frame rate', unit: 'fps', preset: true },
+    VIDEO_QUALITY: { type: 'string', values: QUALITY_LEVELS, group: 'Video', label: 'Video quality', preset: true },
+    VIDEO_DIR: { type: 'string', ...FOLDER_RULE, group: 'Video', label: 'Video folder' },
+    // Optional processing pass whose frames a render can use instead of the captured ones
+    DEFLICKER_WINDOW: { type: 'integer', min: 2, max: 129, group: 'Video', label: 'Deflicker averages brightness over', unit: 'frames', preset: true },
+    STABILIZE_CROP: { type: 'number', min: 0, max: 25, group: 'Video', label: 'Crop each side after stabilizing', unit: '%', preset: true },
+
+    // Schedule Settings
+    SCHEDULE_ENABLED: { type: 'boolean', group: 'Schedule', label: 'Enable daily schedule', preset: true },
+    SCHEDULE_TYPE: { type: 'string', values: SCHEDULE_TYPES, lowercase: true, group: 'Schedule', label: 'Schedule', preset: true },
+    SCHEDULE_START_TIME: { type: 'scheduleTime', group: 'Schedule', label: 'Start time (HH:MM or e.g. sunrise-30)', preset: true },
+    SCHEDULE_STOP_TIME: { type: 'scheduleTime', group: 'Schedule', label: 'Stop time (HH:MM or e.g. sunset+30)', preset: true },
+    // Where the camera is, for sunrise/sunset schedules (decimal degrees, north and east positive)
+    LATITUDE: { type: 'number', min: -90, max: 90, optional: true, group: 'Schedule', label: 'Latitude', unit: '°' },
+    LONGITUDE: { type: 'number', min: -180, max: 180, optional: true, group: 'Schedule', label: 'Longitude', unit: '°' },
+
+    // MJPG-Streamer Input Plugin Settings
+    MJPG_INPUT_PLUGIN: {
+        type: 'string',
+        pattern: /^([\w./-]*\/)?input_\w+\.so$/,
+        patternHint: 'an input_*.so plugin name or path',
+        group: 'Stream',
+        label: 'Input plugin',
+        applies: ['stream']
+    },
+    MJPG_INPUT_OPTIONS: { type: 'string', allowEmpty: true, group: 'Stream', label: 'Extra input plugin options', applies: ['stream'] },
+
+    // Storage Management (0 disables a limit)
+    AUTO_CLEANUP: { type: 'boolean', group: 'Storage', label: 'Delete old images automatically', preset: true },
+    MAX_IMAGES: { type: 'integer', min: 0, group: 'Storage', label: 'Maximum images (0 = no limit)', preset: true },
+    CLEANUP_OLDER_THAN_DAYS: { type: 'integer', min: 0, group: 'Storage', label: 'Delete images older than (0 = never)', unit: 'days', preset: true },
+    MIN_FREE_SPACE_MB: { type: 'integer', min: 0, group: 'Storage', label: 'Minimum free disk space', unit: 'MB' },
+
+    // Network Settings
+    ENABLE_REMOTE_ACCESS: { type: 'boolean', group: 'Server', label: 'Allow clients outside the LAN', editable: false },
+    CORS_ORIGIN: { type: 'string', group: 'Server', label: 'CORS origins', editable: false },
+
+    // Authentication
+    AUTH_ENABLED: { type: 'boolean', group: 'Server', label: 'Require login', editable: false },
+    AUTH_FILE: { type: 'string', group: 'Server', label: 'Account file', editable: false },
+    SESSION_TTL_HOURS: { type: 'integer', min: 1, max: 8760, group: 'Server', label: 'Login session lifetime', unit: 'h', editable: false },
+
+    // Health warnings shown on the dashboard
+    HEALTH_CPU_LOAD_WARN: { type: 'integer', min: 1, max: 1000, group: 'Health', label: 'Warn at CPU load (1-minute average, all cores)', unit: '%' },
+    HEALTH_CPU_TEMP_WARN: { type: 'integer', min: 30, max: 110, group: 'Health', label: 'Warn at CPU temperature', unit: '°C' },
+    HEALTH_MEMORY_WARN: { type: 'integer', min: 1, max: 100, group: 'Health', label: 'Warn at memory use', unit: '%' },
+    HEALTH_CAPTURE_SUCCESS_WARN: { type: 'integer', min: 0, max: 100, group: 'Health', label: 'Warn below capture success rate (last 50 captures)', unit: '%' },
+
+    // Logging
+    LOG_LEVEL: { type: 'string', values: ['error', 'warn', 'info', 'debug'], lowercase: true, group: 'Logging', label: 'Log level' },
+    LOG_FILE: { type: 'string', group: 'Server', label: 'Log file', editable: false }
+};
+
+// Order of the groups on the settings page
+const SETTING_GROUPS = ['Capture', 'Camera', 'Exposure', 'Stream', 'Watchdog', 'Video', 'Schedule', 'Storage', 'Health', 'Logging', 'Server'];
+
+// CAMERA_<ID>_* overrides and the setting whose rule they share
+const CAMERA_OVERRIDE_RULES = {
+    NAME: { type: 'string' },
+    TYPE: CONFIG_SCHEMA.CAMERA_TYPE,
+    DEVICE: CONFIG_SCHEMA.CAMERA_DEVICE,
+    OUTPUT_DIR: CONFIG_SCHEMA.OUTPUT_DIR,
+    STREAM_PORT: CONFIG_SCHEMA.MJPG_STREAMER_PORT,
+    INPUT_PLUGIN: CONFIG_SCHEMA.MJPG_INPUT_PLUGIN,
+    INPUT_OPTIONS: CONFIG_SCHEMA.MJPG_INPUT_OPTIONS,
+    ROTATION: CONFIG_SCHEMA.ROTATION,
+    FLIP_HORIZONTAL: CONFIG_SCHEMA.FLIP_HORIZONTAL,
+    FLIP_VERTICAL: CONFIG_SCHEMA.FLIP_VERTICAL,
+    SCHEDULE_ENABLED: CONFIG_SCHEMA.SCHEDULE_ENABLED,
+    SCHEDULE_TYPE: CONFIG_SCHEMA.SCHEDULE_TYPE,
+    SCHEDULE_START_TIME: CONFIG_SCHEMA.SCHEDULE_START_TIME,
+    SCHEDULE_STOP_TIME: CONFIG_SCHEMA.SCHEDULE_STOP_TIME
+};
+
+// Dashboard/API setting names mapped to the .env settings they change.
+// streamQuality is a preset that ConfigService turns into STREAM_WIDTH/STREAM_HEIGHT.
+const UPDATE_FIELDS = {
+    captureInterval: 'CAPTURE_INTERVAL',
+    imageQuality: 'IMAGE_QUALITY',
+    streamFps: 'STREAM_FPS',
+    streamQuality: { type: 'string', values: ['low', 'medium', 'high'] },
+    scheduleEnabled: 'SCHEDULE_ENABLED',
+    startTime: 'SCHEDULE_START_TIME',
+    stopTime: 'SCHEDULE_STOP_TIME',
+    videoFps: 'VIDEO_FPS',
+    videoQuality: 'VIDEO_QUALITY',
+    rotation: 'ROTATION',
+    flipHorizontal: 'FLIP_HORIZONTAL',
+    flipVertical: 'FLIP_VERTICAL'
+};
+
+/**
+ * Thrown when .env or a config update breaks the schema. errors is a list of { field, message }
+ * using the .env name, except for updateConfig which reports the legacy dashboard names.
+ */
+class ConfigValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        this.name = 'ConfigValidationError';
+        this.status = 400;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Convert a raw value (a string from .env or JSON from the dashboard) according to a rule.
+ * Returns { value } or { error } with a message that follows the field name.
+ */
+function coerceValue(rule, raw) {
+    if (rule.optional && (raw === null || (typeof raw === 'string' && raw.trim() === ''))) {
+        return { value: null };
+    }
+    if (raw === undefined || raw === null || (raw === '' && !rule.allowEmpty)) {
+        return { error: 'is required' };
+    }
+
+    let value;
+    switch (rule.type) {
+        case 'integer':
+            value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+            if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+            break;
+        case 'number':
+            value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+            break;
+        case 'boolean':
+            value = typeof raw === 'boolean' ? raw : { true: true, '1': true, false: false, '0': false }[String(raw).trim().toLowerCase()];
+            if (value === undefined) return { error: 'must be true or false' };
+            break;
+        case 'time': {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(raw).trim());
+            if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+                return { error: 'must be a time of day between 00:00 and 23:59 (HH:MM)' };
+            }
+            value = `${match[1].padStart(2, '0')}:${match[2]}`;
+            break;
+        }
+        case 'scheduleTime': {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(raw).trim());
+            if (match && parseInt(match[1], 10) <= 23 && parseInt(match[2], 10) <= 59) {
+                value = `${match[1].padStart(2, '0')}:${match[2]}`;
+                break;
+            }
+            const solarTime = parseSolarTime(raw);
+            if (!solarTime) {
+                return { error: `must be a time of day (HH:MM) or ${Object.keys(SOLAR_EVENTS).join('/')} with an optional offset of up to ${MAX_OFFSET_MINUTES} minutes (e.g. sunrise-30)` };
+            }
+            value = formatSolarTime(solarTime);
+            break;
+        }
+        default:
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be text' };
+            value = String(raw).trim();
+            if (rule.lowercase) value = value.toLowerCase();
+            // Values end up on a single .env line
+            if (/[\r\n]/.test(value)) return { error: 'must not contain line breaks' };
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: `must be ${rule.patternHint}` };
+    }
+    if (rule.values && !rule.values.includes(value)) {
+        return { error: `must be one of: ${rule.values.join(', ')}` };
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+    }
+    return { value };
+}
+
+/**
+ * A schedule window needs distinct start and stop times, and anything tied to the sun needs a location
+ */
+function checkScheduleWindow({ enabled, type = 'times', startTime, stopTime, latitude = null, longitude = null }, field) {
+    if (!enabled) return null;
+
+    const solar = type !== 'times' || Boolean(parseSolarTime(startTime) || parseSolarTime(stopTime));
+    if (solar && (latitude === null || longitude === null)) {
+        return { field, message: 'needs LATITUDE and LONGITUDE to follow sunrise and sunset' };
+    }
+    if (type === 'times' && startTime && startTime === stopTime) {
+        return { field, message: 'must differ from the start time' };
+    }
+    return null;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    CAPTURE_MODES,
+    SCHEDULE_TYPES,
+    EXPOSURE_MODES,
+    WHITE_BALANCE_MODES,
+    SETTING_GROUPS,
+    CAMERA_OVERRIDE_RULES,
+    UPDATE_FIELDS,
+    ConfigValidationError,
+    coerceValue,
+    checkScheduleWindow
+};
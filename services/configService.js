@@ -1,10 +1,28 @@
 const fs = require('fs').promises;
 const path = require('path');
+const {
+    CONFIG_SCHEMA,
+    SETTING_GROUPS,
+    CAMERA_OVERRIDE_RULES,
+    UPDATE_FIELDS,
+    ConfigValidationError,
+    coerceValue,
+    checkScheduleWindow
+} = require('./configSchema');
+const ConfigHistoryService = require('./configHistoryService');
+const { writeFileAtomic } = require('./fileUtils');
+const log = require('./logger').child('config');
 require('dotenv').config();
 
+// .env keys whose values the config history diff never shows
+const SECRET_KEY_PATTERN = /KEY|SECRET|PASSWORD|TOKEN/;
+
 class ConfigService {
     constructor() {
         this.envPath = path.join(__dirname, '..', '.env');
+        // A dot directory, so the static file server never hands it out
+        this.history = new ConfigHistoryService(path.join(path.dirname(this.envPath), '.env-history'));
+        this.presetsPath = path.join(path.dirname(this.envPath), 'presets.json');
         this.defaultConfig = {
             // Server Configuration
             PORT: 3000,
@@ -20,10 +38,17 @@ class ConfigService {
             // Timelapse Settings
             CAPTURE_INTERVAL: 5,
             OUTPUT_DIR: './captures',
-            IMAGE_QUALITY: 'high', // high/medium/low
+            IMAGE_QUALITY: 'high', // high/medium/low/custom
             MAX_STORAGE_GB: 10,
+            CAPTURE_MODE: 'interval', // interval/change/motion/burst
+            CHANGE_THRESHOLD: 5,
+            MOTION_THRESHOLD: 3,
+            MOTION_CHECK_INTERVAL: 1,
+            BURST_COUNT: 5,
+            BURST_SPACING: 0.5,
 
             // Camera Settings
+            CAMERAS: 'default', // Comma-separated camera ids, see loadCameraConfigs
             CAMERA_TYPE: 'libcamera',
             CAMERA_DEVICE: 0,
             RESOLUTION_WIDTH: 1920,
@@ -35,28 +60,64 @@ class ConfigService {
             FLIP_HORIZONTAL: false,
             FLIP_VERTICAL: false,
 
+            // Exposure Settings
+            EXPOSURE_MODE: 'auto', // auto/manual/ramp
+            SHUTTER_SPEED: 0,
+            GAIN: 0,
+            WHITE_BALANCE: 'auto',
+            EXPOSURE_TARGET: 115,
+            RAMP_MAX_STEP: 0.33,
+            RAMP_MIN_SHUTTER: 100,
+            RAMP_MAX_SHUTTER: 1000000,
+            RAMP_MAX_GAIN: 8,
+
+            // Watchdog Settings
+            CAPTURE_RETRIES: 2,
+            CAPTURE_RETRY_DELAY: 2,
+            CAPTURE_FAILURE_THRESHOLD: 5,
+            STREAM_RESTART_ATTEMPTS: 5,
+            STREAM_RESTART_DELAY: 2,
+
             // Video Generation Settings
             VIDEO_FPS: 30,
             VIDEO_QUALITY: 'medium',
+            VIDEO_DIR: './videos',
+            DEFLICKER_WINDOW: 15,
+            STABILIZE_CROP: 5,
 
             // Schedule Settings
             SCHEDULE_ENABLED: false,
+            SCHEDULE_TYPE: 'times',
             SCHEDULE_START_TIME: '08:00',
             SCHEDULE_STOP_TIME: '18:00',
+            LATITUDE: null,
+            LONGITUDE: null,
 
             // MJPG-Streamer Input Plugin Settings
             MJPG_INPUT_PLUGIN: 'input_raspicam.so',
-            MJPG_INPUT_OPTIONS: '-x 1280 -y 720 -fps 15 -ex auto',
+            MJPG_INPUT_OPTIONS: '-ex auto',
 
             // Storage Management
             AUTO_CLEANUP: true,
             MAX_IMAGES: 1000,
             CLEANUP_OLDER_THAN_DAYS: 7,
+            MIN_FREE_SPACE_MB: 500,
 
             // Network Settings
             ENABLE_REMOTE_ACCESS: true,
             CORS_ORIGIN: '*',
 
+            // Authentication
+            AUTH_ENABLED: true,
+            AUTH_FILE: './auth.json',
+            SESSION_TTL_HOURS: 168,
+
+            // Health Warnings
+            HEALTH_CPU_LOAD_WARN: 90,
+            HEALTH_CPU_TEMP_WARN: 75,
+            HEALTH_MEMORY_WARN: 90,
+            HEALTH_CAPTURE_SUCCESS_WARN: 90,
+
             // Logging
             LOG_LEVEL: 'info',
             LOG_FILE: './logs/timelapse.log'
@@ -64,82 +125,226 @@ class ConfigService {
     }
 
     /**
-     * Load configuration from environment variables, with fallbacks to defaults
+     * Load configuration from environment variables, with fallbacks to defaults.
+     * Every set value is checked against CONFIG_SCHEMA; problems are collected and thrown together.
      */
     async loadConfig() {
         try {
             // Create .env file if it doesn't exist
             await this.ensureEnvFile();
 
+            const errors = [];
+            const setting = (name) => this.readSetting(name, CONFIG_SCHEMA[name], this.defaultConfig[name], errors);
+
             // Map environment variables to our config structure
             const config = {
                 // Server Configuration
-                port: parseInt(process.env.PORT) || this.defaultConfig.PORT,
-                nodeEnv: process.env.NODE_ENV || this.defaultConfig.NODE_ENV,
-                host: process.env.HOST || this.defaultConfig.HOST,
+                port: setting('PORT'),
+                nodeEnv: setting('NODE_ENV'),
+                host: setting('HOST'),
 
                 // MJPG-Streamer Configuration
-                mjpgStreamerPort: parseInt(process.env.MJPG_STREAMER_PORT) || this.defaultConfig.MJPG_STREAMER_PORT,
-                mjpgStreamerPath: process.env.MJPG_STREAMER_PATH || this.defaultConfig.MJPG_STREAMER_PATH,
-                mjpgStreamerWww: process.env.MJPG_STREAMER_WWW || this.defaultConfig.MJPG_STREAMER_WWW,
-                mjpgStreamerAutostart: this.parseBool(process.env.MJPG_STREAMER_AUTOSTART) ?? this.defaultConfig.MJPG_STREAMER_AUTOSTART,
+                mjpgStreamerPort: setting('MJPG_STREAMER_PORT'),
+                mjpgStreamerPath: setting('MJPG_STREAMER_PATH'),
+                mjpgStreamerWww: setting('MJPG_STREAMER_WWW'),
+                mjpgStreamerAutostart: setting('MJPG_STREAMER_AUTOSTART'),
 
                 // Timelapse Settings (main config used by web interface)
-                captureInterval: parseInt(process.env.CAPTURE_INTERVAL) || this.defaultConfig.CAPTURE_INTERVAL,
-                outputDir: process.env.OUTPUT_DIR || this.defaultConfig.OUTPUT_DIR,
-                imageQuality: process.env.IMAGE_QUALITY || this.defaultConfig.IMAGE_QUALITY,
-                maxStorageGb: parseInt(process.env.MAX_STORAGE_GB) || this.defaultConfig.MAX_STORAGE_GB,
+                captureInterval: setting('CAPTURE_INTERVAL'),
+                outputDir: setting('OUTPUT_DIR'),
+                imageQuality: setting('IMAGE_QUALITY'),
+                maxStorageGb: setting('MAX_STORAGE_GB'),
+                captureMode: setting('CAPTURE_MODE'),
+                changeThreshold: setting('CHANGE_THRESHOLD'),
+                motionThreshold: setting('MOTION_THRESHOLD'),
+                motionCheckInterval: setting('MOTION_CHECK_INTERVAL'),
+                burstCount: setting('BURST_COUNT'),
+                burstSpacing: setting('BURST_SPACING'),
 
                 // Camera Settings
-                cameraType: process.env.CAMERA_TYPE || this.defaultConfig.CAMERA_TYPE,
-                cameraDevice: process.env.CAMERA_DEVICE || this.defaultConfig.CAMERA_DEVICE,
-                resolutionWidth: parseInt(process.env.RESOLUTION_WIDTH) || this.defaultConfig.RESOLUTION_WIDTH,
-                resolutionHeight: parseInt(process.env.RESOLUTION_HEIGHT) || this.defaultConfig.RESOLUTION_HEIGHT,
-                streamWidth: parseInt(process.env.STREAM_WIDTH) || this.defaultConfig.STREAM_WIDTH,
-                streamHeight: parseInt(process.env.STREAM_HEIGHT) || this.defaultConfig.STREAM_HEIGHT,
-                streamFps: parseInt(process.env.STREAM_FPS) || this.defaultConfig.STREAM_FPS,
-                rotation: parseInt(process.env.ROTATION) || this.defaultConfig.ROTATION,
-                flipHorizontal: this.parseBool(process.env.FLIP_HORIZONTAL) ?? this.defaultConfig.FLIP_HORIZONTAL,
-                flipVertical: this.parseBool(process.env.FLIP_VERTICAL) ?? this.defaultConfig.FLIP_VERTICAL,
+                cameraType: setting('CAMERA_TYPE'),
+                cameraDevice: setting('CAMERA_DEVICE'),
+                resolutionWidth: setting('RESOLUTION_WIDTH'),
+                resolutionHeight: setting('RESOLUTION_HEIGHT'),
+                streamWidth: setting('STREAM_WIDTH'),
+                streamHeight: setting('STREAM_HEIGHT'),
+                streamFps: setting('STREAM_FPS'),
+                rotation: setting('ROTATION'),
+                flipHorizontal: setting('FLIP_HORIZONTAL'),
+                flipVertical: setting('FLIP_VERTICAL'),
+
+                // Exposure Settings
+                exposureMode: setting('EXPOSURE_MODE'),
+                shutterSpeed: setting('SHUTTER_SPEED'),
+                gain: setting('GAIN'),
+                whiteBalance: setting('WHITE_BALANCE'),
+                exposureTarget: setting('EXPOSURE_TARGET'),
+                rampMaxStep: setting('RAMP_MAX_STEP'),
+                rampMinShutter: setting('RAMP_MIN_SHUTTER'),
+                rampMaxShutter: setting('RAMP_MAX_SHUTTER'),
+                rampMaxGain: setting('RAMP_MAX_GAIN'),
+
+                // Watchdog Settings
+                captureRetries: setting('CAPTURE_RETRIES'),
+                captureRetryDelay: setting('CAPTURE_RETRY_DELAY'),
+                captureFailureThreshold: setting('CAPTURE_FAILURE_THRESHOLD'),
+                streamRestartAttempts: setting('STREAM_RESTART_ATTEMPTS'),
+                streamRestartDelay: setting('STREAM_RESTART_DELAY'),
 
                 // Video Generation Settings
-                videoFps: parseInt(process.env.VIDEO_FPS) || this.defaultConfig.VIDEO_FPS,
-                videoQuality: process.env.VIDEO_QUALITY || this.defaultConfig.VIDEO_QUALITY,
+                videoFps: setting('VIDEO_FPS'),
+                videoQuality: setting('VIDEO_QUALITY'),
+                videoDir: setting('VIDEO_DIR'),
+                deflickerWindow: setting('DEFLICKER_WINDOW'),
+                stabilizeCrop: setting('STABILIZE_CROP'),
 
                 // Schedule Settings
-                scheduleEnabled: this.parseBool(process.env.SCHEDULE_ENABLED) ?? this.defaultConfig.SCHEDULE_ENABLED,
-                startTime: process.env.SCHEDULE_START_TIME || this.defaultConfig.SCHEDULE_START_TIME,
-                stopTime: process.env.SCHEDULE_STOP_TIME || this.defaultConfig.SCHEDULE_STOP_TIME,
-
-                // Stream Quality mapping for compatibility with existing web interface
-                streamQuality: this.mapStreamQuality(process.env.STREAM_WIDTH, process.env.STREAM_HEIGHT),
+                scheduleEnabled: setting('SCHEDULE_ENABLED'),
+                scheduleType: setting('SCHEDULE_TYPE'),
+                startTime: setting('SCHEDULE_START_TIME'),
+                stopTime: setting('SCHEDULE_STOP_TIME'),
+                latitude: setting('LATITUDE'),
+                longitude: setting('LONGITUDE'),
 
                 // MJPG-Streamer Plugin Settings
-                mjpgInputPlugin: process.env.MJPG_INPUT_PLUGIN || this.defaultConfig.MJPG_INPUT_PLUGIN,
-                mjpgInputOptions: process.env.MJPG_INPUT_OPTIONS || this.defaultConfig.MJPG_INPUT_OPTIONS,
+                mjpgInputPlugin: setting('MJPG_INPUT_PLUGIN'),
+                mjpgInputOptions: setting('MJPG_INPUT_OPTIONS'),
 
                 // Storage Management
-                autoCleanup: this.parseBool(process.env.AUTO_CLEANUP) ?? this.defaultConfig.AUTO_CLEANUP,
-                maxImages: parseInt(process.env.MAX_IMAGES) || this.defaultConfig.MAX_IMAGES,
-                cleanupOlderThanDays: parseInt(process.env.CLEANUP_OLDER_THAN_DAYS) || this.defaultConfig.CLEANUP_OLDER_THAN_DAYS,
+                autoCleanup: setting('AUTO_CLEANUP'),
+                maxImages: setting('MAX_IMAGES'),
+                cleanupOlderThanDays: setting('CLEANUP_OLDER_THAN_DAYS'),
+                minFreeSpaceMb: setting('MIN_FREE_SPACE_MB'),
 
                 // Network Settings
-                enableRemoteAccess: this.parseBool(process.env.ENABLE_REMOTE_ACCESS) ?? this.defaultConfig.ENABLE_REMOTE_ACCESS,
-                corsOrigin: process.env.CORS_ORIGIN || this.defaultConfig.CORS_ORIGIN,
+                enableRemoteAccess: setting('ENABLE_REMOTE_ACCESS'),
+                corsOrigin: setting('CORS_ORIGIN'),
+
+                // Authentication
+                authEnabled: setting('AUTH_ENABLED'),
+                authFile: setting('AUTH_FILE'),
+                sessionTtlHours: setting('SESSION_TTL_HOURS'),
+                apiKey: process.env.API_KEY || null,
+
+                // Health Warnings
+                healthCpuLoadWarn: setting('HEALTH_CPU_LOAD_WARN'),
+                healthCpuTempWarn: setting('HEALTH_CPU_TEMP_WARN'),
+                healthMemoryWarn: setting('HEALTH_MEMORY_WARN'),
+                healthCaptureSuccessWarn: setting('HEALTH_CAPTURE_SUCCESS_WARN'),
 
                 // Logging
-                logLevel: process.env.LOG_LEVEL || this.defaultConfig.LOG_LEVEL,
-                logFile: process.env.LOG_FILE || this.defaultConfig.LOG_FILE
+                logLevel: setting('LOG_LEVEL'),
+                logFile: setting('LOG_FILE')
             };
 
-            console.log('Configuration loaded successfully from environment variables');
+            // Stream Quality mapping for compatibility with existing web interface
+            config.streamQuality = this.mapStreamQuality(config.streamWidth, config.streamHeight);
+
+            const windowError = checkScheduleWindow({
+                enabled: config.scheduleEnabled,
+                type: config.scheduleType,
+                startTime: config.startTime,
+                stopTime: config.stopTime,
+                latitude: config.latitude,
+                longitude: config.longitude
+            }, 'SCHEDULE_STOP_TIME');
+            if (windowError) errors.push(windowError);
+
+            config.cameras = this.loadCameraConfigs(config, errors);
+
+            if (errors.length > 0) {
+                throw new ConfigValidationError(errors);
+            }
+
+            log.info('Configuration loaded successfully from environment variables');
             return config;
         } catch (error) {
-            console.error('Error loading configuration:', error);
+            log.error('Error loading configuration:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Read one environment variable through its schema rule. Unset (or empty) values use the
+     * default; invalid ones are added to errors and fall back so the rest can still be checked.
+     */
+    readSetting(name, rule, defaultValue, errors, env = process.env) {
+        const raw = env[name];
+        if (raw === undefined || (raw.trim() === '' && !rule.allowEmpty)) {
+            return defaultValue;
+        }
+
+        const result = coerceValue(rule, raw);
+        if (result.error) {
+            errors.push({ field: name, message: `${result.error} (got "${raw}")` });
+            return defaultValue;
+        }
+        return result.value;
+    }
+
+    /**
+     * Build one config per camera listed in CAMERAS. Each camera inherits the top-level
+     * settings and can override them with CAMERA_<ID>_* variables (e.g. CAMERA_USB_DEVICE).
+     * The first camera keeps OUTPUT_DIR; the others default to OUTPUT_DIR/<id>.
+     * Invalid overrides are added to errors.
+     */
+    loadCameraConfigs(config, errors = []) {
+        const ids = [];
+        for (const rawId of (process.env.CAMERAS || this.defaultConfig.CAMERAS).split(',')) {
+            const id = rawId.trim().toLowerCase();
+            if (!id) continue;
+            if (!/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+                log.error(`Ignoring invalid camera id "${rawId.trim()}" in CAMERAS (use letters, digits, - and _)`);
+                continue;
+            }
+            if (!ids.includes(id)) ids.push(id);
+        }
+        if (ids.length === 0) ids.push(this.defaultConfig.CAMERAS);
+
+        return ids.map((id, index) => {
+            const prefix = `CAMERA_${id.toUpperCase().replace(/-/g, '_')}_`;
+            const env = (key, fallback) => this.readSetting(prefix + key, CAMERA_OVERRIDE_RULES[key], fallback, errors);
+
+            const camera = {
+                ...config,
+                id,
+                name: env('NAME', ids.length === 1 ? 'Camera' : id),
+                cameraType: env('TYPE', config.cameraType),
+                cameraDevice: env('DEVICE', config.cameraDevice),
+                outputDir: env('OUTPUT_DIR', index === 0 ? config.outputDir : path.join(config.outputDir, id)),
+
+                // Each camera needs its own mjpg-streamer port
+                mjpgStreamerPort: env('STREAM_PORT', config.mjpgStreamerPort + index),
+                mjpgInputPlugin: env('INPUT_PLUGIN', config.mjpgInputPlugin),
+                mjpgInputOptions: env('INPUT_OPTIONS', config.mjpgInputOptions),
+
+                rotation: env('ROTATION', config.rotation),
+                flipHorizontal: env('FLIP_HORIZONTAL', config.flipHorizontal),
+                flipVertical: env('FLIP_VERTICAL', config.flipVertical),
+
+                scheduleEnabled: env('SCHEDULE_ENABLED', config.scheduleEnabled),
+                scheduleType: env('SCHEDULE_TYPE', config.scheduleType),
+                startTime: env('SCHEDULE_START_TIME', config.startTime),
+                stopTime: env('SCHEDULE_STOP_TIME', config.stopTime)
+            };
+
+            // The shared window was checked in loadConfig; only overridden ones need checking here
+            const scheduleKeys = ['scheduleEnabled', 'scheduleType', 'startTime', 'stopTime'];
+            if (scheduleKeys.some(key => camera[key] !== config[key])) {
+                const windowError = checkScheduleWindow({
+                    enabled: camera.scheduleEnabled,
+                    type: camera.scheduleType,
+                    startTime: camera.startTime,
+                    stopTime: camera.stopTime,
+                    latitude: config.latitude,
+                    longitude: config.longitude
+                }, `${prefix}SCHEDULE_STOP_TIME`);
+                if (windowError) errors.push(windowError);
+            }
+            return camera;
+        });
+    }
+
     /**
      * Get the legacy config format for compatibility with existing web interface
      */
@@ -153,75 +358,441 @@ class ConfigService {
             startTime: config.startTime,
             stopTime: config.stopTime,
             videoFps: config.videoFps,
-            videoQuality: config.videoQuality
+            videoQuality: config.videoQuality,
+            rotation: config.rotation,
+            flipHorizontal: config.flipHorizontal,
+            flipVertical: config.flipVertical
         };
     }
 
     /**
-     * Update configuration both in memory and persist to .env file
+     * Update configuration both in memory and persist to .env file.
+     * Throws ConfigValidationError (nothing is written) if any value breaks the schema.
      */
-    async updateConfig(updates) {
-        try {
-            // Read current .env file
-            const envContent = await this.readEnvFile();
-            const envVars = this.parseEnvContent(envContent);
+    async updateConfig(updates, author = 'unknown') {
+        // Validate and map web interface updates to environment variable names
+        return this.writeEnvUpdates(this.mapLegacyConfigToEnv(updates), 'stopTime', author);
+    }
 
-            // Map web interface updates to environment variable names
-            const envUpdates = this.mapLegacyConfigToEnv(updates);
+    /**
+     * Every setting in CONFIG_SCHEMA with its rule, current value and default, for the settings page
+     */
+    describeSettings() {
+        return Object.entries(CONFIG_SCHEMA).map(([name, rule]) => ({
+            name,
+            group: rule.group,
+            label: rule.label,
+            type: rule.type,
+            unit: rule.unit || null,
+            values: rule.values || null,
+            min: rule.min ?? null,
+            max: rule.max ?? null,
+            applies: rule.applies || [],
+            editable: rule.editable !== false,
+            value: this.readSetting(name, rule, this.defaultConfig[name], []),
+            default: this.defaultConfig[name]
+        })).sort((a, b) => SETTING_GROUPS.indexOf(a.group) - SETTING_GROUPS.indexOf(b.group));
+    }
 
-            // Update environment variables
-            Object.assign(envVars, envUpdates);
+    /**
+     * Validate and persist settings keyed by their .env names (e.g. { CAPTURE_INTERVAL: 10 }).
+     * Returns the names whose value actually changed.
+     */
+    async updateSettings(updates, author = 'unknown') {
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+            throw new ConfigValidationError([{ field: 'settings', message: 'must be an object of settings' }]);
+        }
 
-            // Write back to .env file
-            await this.writeEnvFile(envVars);
+        const envUpdates = {};
+        const errors = [];
+        for (const [name, raw] of Object.entries(updates)) {
+            const rule = CONFIG_SCHEMA[name];
+            if (!rule) {
+                errors.push({ field: name, message: 'is not a known setting' });
+                continue;
+            }
+            if (rule.editable === false) {
+                errors.push({ field: name, message: 'can only be changed in .env (restart required)' });
+                continue;
+            }
+
+            const result = coerceValue(rule, raw);
+            if (result.error) {
+                errors.push({ field: name, message: result.error });
+            } else {
+                // An optional setting left empty is written as an empty value (not set)
+                envUpdates[name] = result.value === null ? '' : result.value.toString();
+            }
+        }
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors);
+        }
+
+        const changed = Object.keys(envUpdates).filter(name => {
+            const rule = CONFIG_SCHEMA[name];
+            const current = this.readSetting(name, rule, this.defaultConfig[name], []);
+            return String(current ?? '') !== envUpdates[name];
+        });
+        await this.writeEnvUpdates(envUpdates, 'SCHEDULE_STOP_TIME', author);
+        return changed;
+    }
+
+    /**
+     * Check the schedule window the updates would leave behind, then write them to .env and process.env.
+     * The previous .env goes into the config history when anything changes.
+     */
+    async writeEnvUpdates(envUpdates, windowField, author = 'unknown') {
+        try {
+            // The schedule window has to stay usable with the settings that are not changing
+            const candidate = { ...process.env, ...envUpdates };
+            const read = (name) => this.readSetting(name, CONFIG_SCHEMA[name], this.defaultConfig[name], [], candidate);
+            const windowError = checkScheduleWindow({
+                enabled: read('SCHEDULE_ENABLED'),
+                type: read('SCHEDULE_TYPE'),
+                startTime: read('SCHEDULE_START_TIME'),
+                stopTime: read('SCHEDULE_STOP_TIME'),
+                latitude: read('LATITUDE'),
+                longitude: read('LONGITUDE')
+            }, windowField);
+            if (windowError) {
+                throw new ConfigValidationError([windowError]);
+            }
+
+            // Edit the values in place so comments, order and unknown keys survive
+            const envContent = await this.readEnvFile();
+            const updatedContent = this.applyEnvUpdates(envContent, envUpdates);
+            if (updatedContent !== envContent) {
+                const previous = this.parseEnvContent(envContent);
+                const changes = Object.keys(envUpdates).filter(key => previous[key] !== envUpdates[key]);
+                await this.history.record(envContent, { author, changes });
+                await this.writeEnvFile(updatedContent);
+            }
 
             // Update process.env for immediate effect
             Object.assign(process.env, envUpdates);
 
-            console.log('Configuration updated and persisted to .env file');
+            log.info('Configuration updated and persisted to .env file');
             return true;
         } catch (error) {
-            console.error('Error updating configuration:', error);
+            log.error('Error updating configuration:', error.message);
             throw error;
         }
     }
 
+    // --- Config history ---
+
+    async getHistory() {
+        return this.history.list();
+    }
+
     /**
-     * Map legacy web interface config to environment variable names
+     * What rolling back to a history entry would change: [{ key, current, restored }].
+     * Values of secret keys (API_KEY etc.) are masked.
      */
-    mapLegacyConfigToEnv(legacyConfig) {
-        const envUpdates = {};
+    async diffHistory(id) {
+        const entry = await this.history.get(id);
+        if (!entry) return null;
 
-        if (legacyConfig.captureInterval !== undefined) {
-            envUpdates.CAPTURE_INTERVAL = legacyConfig.captureInterval.toString();
-        }
-        if (legacyConfig.imageQuality !== undefined) {
-            envUpdates.IMAGE_QUALITY = legacyConfig.imageQuality;
-        }
-        if (legacyConfig.streamFps !== undefined) {
-            envUpdates.STREAM_FPS = legacyConfig.streamFps.toString();
+        const current = this.parseEnvContent(await this.readEnvFile());
+        const restored = this.parseEnvContent(entry.content);
+        const mask = (key, value) => (value !== undefined && SECRET_KEY_PATTERN.test(key) ? '********' : value ?? null);
+
+        const changes = [...new Set([...Object.keys(current), ...Object.keys(restored)])]
+            .filter(key => current[key] !== restored[key])
+            .map(key => ({ key, current: mask(key, current[key]), restored: mask(key, restored[key]) }));
+
+        const { content, ...summary } = entry;
+        return { ...summary, diff: changes };
+    }
+
+    /**
+     * Restore .env from a history entry (the current file is recorded first, so a rollback can
+     * itself be undone). Returns the keys that changed, or null if there is no such entry.
+     */
+    async rollback(id, author = 'unknown') {
+        const entry = await this.history.get(id);
+        if (!entry) return null;
+
+        const currentContent = await this.readEnvFile();
+        const current = this.parseEnvContent(currentContent);
+        const restored = this.parseEnvContent(entry.content);
+
+        // The snapshot may predate a schema change, so it has to pass the same checks as startup
+        const errors = [];
+        const read = (name) => this.readSetting(name, CONFIG_SCHEMA[name], this.defaultConfig[name], errors, restored);
+        Object.keys(CONFIG_SCHEMA).forEach(read);
+        const windowError = checkScheduleWindow({
+            enabled: read('SCHEDULE_ENABLED'),
+            type: read('SCHEDULE_TYPE'),
+            startTime: read('SCHEDULE_START_TIME'),
+            stopTime: read('SCHEDULE_STOP_TIME'),
+            latitude: read('LATITUDE'),
+            longitude: read('LONGITUDE')
+        }, 'SCHEDULE_STOP_TIME');
+        if (windowError) errors.push(windowError);
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors);
         }
-        if (legacyConfig.streamQuality !== undefined) {
-            const dimensions = this.mapQualityToStreamDimensions(legacyConfig.streamQuality);
-            envUpdates.STREAM_WIDTH = dimensions.width.toString();
-            envUpdates.STREAM_HEIGHT = dimensions.height.toString();
+
+        const changes = [...new Set([...Object.keys(current), ...Object.keys(restored)])]
+            .filter(key => current[key] !== restored[key]);
+        if (changes.length === 0) return changes;
+
+        await this.history.record(currentContent, { author, changes, reason: `Rollback to ${entry.id}` });
+        await this.writeEnvFile(entry.content);
+
+        // Keys the snapshot doesn't set fall back to their defaults
+        changes.forEach(key => {
+            if (key in restored) {
+                process.env[key] = restored[key];
+            } else {
+                delete process.env[key];
+            }
+        });
+
+        log.info(`Configuration rolled back to ${entry.id} by ${author}`);
+        return changes;
+    }
+
+    // --- Presets ---
+    // A preset is a named set of the preset: true settings (interval, quality, video, schedule,
+    // retention), stored in presets.json as { activePreset, presets: [{ name, settings, createdAt, updatedAt }] }.
+
+    getPresetSettingNames() {
+        return Object.keys(CONFIG_SCHEMA).filter(name => CONFIG_SCHEMA[name].preset);
+    }
+
+    async readPresets() {
+        try {
+            const store = JSON.parse(await fs.readFile(this.presetsPath, 'utf8'));
+            return { activePreset: store.activePreset || null, presets: Array.isArray(store.presets) ? store.presets : [] };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Ignoring unreadable presets file:', error.message);
+            }
+            return { activePreset: null, presets: [] };
         }
-        if (legacyConfig.scheduleEnabled !== undefined) {
-            envUpdates.SCHEDULE_ENABLED = legacyConfig.scheduleEnabled.toString();
+    }
+
+    async writePresets(store) {
+        await writeFileAtomic(this.presetsPath, JSON.stringify(store, null, 2));
+    }
+
+    findPreset(store, name) {
+        const key = String(name || '').trim().toLowerCase();
+        return store.presets.find(preset => preset.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Preset settings as they are right now, keyed by .env name
+     */
+    getCurrentPresetSettings() {
+        const settings = {};
+        this.getPresetSettingNames().forEach(name => {
+            settings[name] = this.readSetting(name, CONFIG_SCHEMA[name], this.defaultConfig[name], []);
+        });
+        return settings;
+    }
+
+    /**
+     * The last saved or applied preset, as long as none of its settings were changed since
+     */
+    async getActivePreset() {
+        const store = await this.readPresets();
+        const preset = this.findPreset(store, store.activePreset);
+        if (!preset) return null;
+
+        const current = this.getCurrentPresetSettings();
+        const matches = Object.entries(preset.settings).every(([name, value]) => String(current[name]) === String(value));
+        return matches ? preset.name : null;
+    }
+
+    /**
+     * Presets sorted by name, plus the active one
+     */
+    async listPresets() {
+        const store = await this.readPresets();
+        return {
+            activePreset: await this.getActivePreset(),
+            presets: [...store.presets].sort((a, b) => a.name.localeCompare(b.name))
+        };
+    }
+
+    validatePresetName(name, field = 'name') {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > 60 || /[\r\n]/.test(trimmed)) {
+            throw new ConfigValidationError([{ field, message: 'must be 1-60 characters on one line' }]);
         }
-        if (legacyConfig.startTime !== undefined) {
-            envUpdates.SCHEDULE_START_TIME = legacyConfig.startTime;
+        return trimmed;
+    }
+
+    /**
+     * Save the current preset settings under a name, replacing a preset with the same name
+     */
+    async savePreset(name) {
+        const presetName = this.validatePresetName(name);
+        const store = await this.readPresets();
+        const now = new Date().toISOString();
+        const existing = this.findPreset(store, presetName);
+
+        const preset = {
+            name: existing ? existing.name : presetName,
+            settings: this.getCurrentPresetSettings(),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        store.presets = store.presets.filter(entry => entry !== existing).concat(preset);
+        store.activePreset = preset.name;
+        await this.writePresets(store);
+
+        log.info(`Saved preset "${preset.name}"`);
+        return preset;
+    }
+
+    /**
+     * Write a preset's settings to .env. Returns { preset, changed } or null if there is no such preset.
+     */
+    async applyPreset(name, author = 'unknown') {
+        const store = await this.readPresets();
+        const preset = this.findPreset(store, name);
+        if (!preset) return null;
+
+        const changed = await this.updateSettings(preset.settings, author);
+        store.activePreset = preset.name;
+        await this.writePresets(store);
+
+        log.info(`Applied preset "${preset.name}" (${changed.length} settings changed)`);
+        return { preset, changed };
+    }
+
+    /**
+     * Remove a preset; returns false if there is no such preset
+     */
+    async deletePreset(name) {
+        const store = await this.readPresets();
+        const preset = this.findPreset(store, name);
+        if (!preset) return false;
+
+        store.presets = store.presets.filter(entry => entry !== preset);
+        if (store.activePreset === preset.name) store.activePreset = null;
+        await this.writePresets(store);
+        return true;
+    }
+
+    /**
+     * Presets as a portable JSON document; names limits the export to those presets
+     */
+    async exportPresets(names = null) {
+        const store = await this.readPresets();
+        const wanted = names ? names.map(name => String(name).toLowerCase()) : null;
+        return {
+            exportedAt: new Date().toISOString(),
+            presets: store.presets
+                .filter(preset => !wanted || wanted.includes(preset.name.toLowerCase()))
+                .map(({ name, settings }) => ({ name, settings }))
+        };
+    }
+
+    /**
+     * Import presets from an export document (or a bare array). Every preset is checked against
+     * the schema first and nothing is written if one is invalid. Presets whose name already exists
+     * are skipped unless overwrite is set. Returns { imported, skipped } lists of names.
+     */
+    async importPresets(data, { overwrite = false } = {}) {
+        const incoming = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(incoming)) {
+            throw new ConfigValidationError([{ field: 'presets', message: 'must be a list of presets' }]);
         }
-        if (legacyConfig.stopTime !== undefined) {
-            envUpdates.SCHEDULE_STOP_TIME = legacyConfig.stopTime;
+
+        const presetNames = this.getPresetSettingNames();
+        const errors = [];
+        const presets = incoming.map((entry, index) => {
+            const prefix = `presets[${index}]`;
+            let name;
+            try {
+                name = this.validatePresetName(entry && entry.name, `${prefix}.name`);
+            } catch (error) {
+                errors.push(...error.errors);
+                return null;
+            }
+
+            const settings = {};
+            Object.entries((entry && entry.settings) || {}).forEach(([setting, raw]) => {
+                if (!presetNames.includes(setting)) {
+                    errors.push({ field: `${prefix}.${setting}`, message: 'is not a preset setting' });
+                    return;
+                }
+                const result = coerceValue(CONFIG_SCHEMA[setting], raw);
+                if (result.error) {
+                    errors.push({ field: `${prefix}.${setting}`, message: result.error });
+                } else {
+                    settings[setting] = result.value;
+                }
+            });
+            if (Object.keys(settings).length === 0) {
+                errors.push({ field: `${prefix}.settings`, message: 'must contain at least one preset setting' });
+            }
+            return { name, settings };
+        });
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors);
         }
-        if (legacyConfig.videoFps !== undefined) {
-            envUpdates.VIDEO_FPS = legacyConfig.videoFps.toString();
+
+        const store = await this.readPresets();
+        const now = new Date().toISOString();
+        const imported = [];
+        const skipped = [];
+        presets.forEach(({ name, settings }) => {
+            const existing = this.findPreset(store, name);
+            if (existing && !overwrite) {
+                skipped.push(name);
+                return;
+            }
+            store.presets = store.presets.filter(entry => entry !== existing).concat({
+                name: existing ? existing.name : name,
+                settings,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            });
+            imported.push(name);
+        });
+        await this.writePresets(store);
+        return { imported, skipped };
+    }
+
+    /**
+     * Validate web interface settings (see UPDATE_FIELDS) and map them to environment variable names
+     */
+    mapLegacyConfigToEnv(legacyConfig) {
+        if (!legacyConfig || typeof legacyConfig !== 'object' || Array.isArray(legacyConfig)) {
+            throw new ConfigValidationError([{ field: 'config', message: 'must be an object of settings' }]);
         }
-        if (legacyConfig.videoQuality !== undefined) {
-            envUpdates.VIDEO_QUALITY = legacyConfig.videoQuality;
+
+        const envUpdates = {};
+        const errors = [];
+
+        for (const [field, raw] of Object.entries(legacyConfig)) {
+            const target = UPDATE_FIELDS[field];
+            if (!target) {
+                errors.push({ field, message: 'is not a configurable setting' });
+                continue;
+            }
+
+            const result = coerceValue(typeof target === 'string' ? CONFIG_SCHEMA[target] : target, raw);
+            if (result.error) {
+                errors.push({ field, message: result.error });
+            } else if (field === 'streamQuality') {
+                const dimensions = this.mapQualityToStreamDimensions(result.value);
+                envUpdates.STREAM_WIDTH = dimensions.width.toString();
+                envUpdates.STREAM_HEIGHT = dimensions.height.toString();
+            } else {
+                envUpdates[target] = result.value.toString();
+            }
         }
 
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors);
+        }
         return envUpdates;
     }
 
@@ -249,14 +820,6 @@ class ConfigService {
         return 'high';
     }
 
-    /**
-     * Parse boolean values from environment variables
-     */
-    parseBool(value) {
-        if (value === undefined || value === null) return undefined;
-        return value.toLowerCase() === 'true' || value === '1';
-    }
-
     /**
      * Ensure .env file exists, create from .env.example if not
      */
@@ -269,12 +832,12 @@ class ConfigService {
             try {
                 const exampleContent = await fs.readFile(examplePath, 'utf8');
                 await fs.writeFile(this.envPath, exampleContent);
-                console.log('Created .env file from .env.example');
+                log.info('Created .env file from .env.example');
             } catch (exampleError) {
                 // Create basic .env file with defaults
                 const defaultEnvContent = this.generateDefaultEnvContent();
                 await fs.writeFile(this.envPath, defaultEnvContent);
-                console.log('Created default .env file');
+                log.info('Created default .env file');
             }
         }
     }
@@ -286,7 +849,7 @@ class ConfigService {
         try {
             return await fs.readFile(this.envPath, 'utf8');
         } catch (error) {
-            console.warn('Could not read .env file, using defaults');
+            log.warn('Could not read .env file, using defaults');
             return '';
         }
     }
@@ -312,14 +875,35 @@ class ConfigService {
     }
 
     /**
-     * Write environment variables back to .env file
+     * Replace the values of existing KEY=value lines and append keys the file doesn't have yet.
+     * Comments, blank lines, ordering and keys the server doesn't know about are kept.
      */
-    async writeEnvFile(envVars) {
-        const content = Object.entries(envVars)
-            .map(([key, value]) => `${key}=${value}`)
-            .join('\n');
+    applyEnvUpdates(content, envUpdates) {
+        const remaining = { ...envUpdates };
+        const lines = content.split('\n').map(line => {
+            const match = /^(\s*)([\w.-]+)(\s*=)/.exec(line);
+            if (!match || !(match[2] in envUpdates)) {
+                return line;
+            }
+            delete remaining[match[2]];
+            return `${match[1]}${match[2]}${match[3]}${envUpdates[match[2]]}`;
+        });
+
+        const additions = Object.entries(remaining).map(([key, value]) => `${key}=${value}`);
+        const updated = lines.join('\n');
+        if (additions.length === 0) {
+            return updated;
+        }
+        return (updated.trim() ? updated.replace(/\n*$/, '\n') : '') + additions.join('\n') + '\n';
+    }
 
-        await fs.writeFile(this.envPath, content + '\n');
+    /**
+     * Write .env atomically and durably so a power cut can't leave it empty or half written
+     */
+    async writeEnvFile(content) {
+        // Keep the permissions of the existing file (it may hold API_KEY)
+        const mode = await fs.stat(this.envPath).then(stats => stats.mode & 0o777, () => 0o600);
+        await writeFileAtomic(this.envPath, content, { mode });
     }
 
     /**
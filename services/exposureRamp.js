@@ -0,0 +1,59 @@
+// Display gamma of the JPEGs being metered: brightness ~ (light * exposure) ^ (1 / gamma)
+const DISPLAY_GAMMA = 2.2;
+
+// Only this share of the measured error is corrected per frame, so a single odd frame
+// (a passing cloud, a car's headlights) nudges the exposure instead of swinging it
+const CORRECTION_FACTOR = 0.5;
+
+// Starting point when neither SHUTTER_SPEED nor the session's last frame gives one
+const DEFAULT_START = { shutter: 10000, gain: 1 };
+
+// EXPOSURE_MODE=ramp: meters each captured frame and moves the exposure (shutter x gain) toward
+// EXPOSURE_TARGET by at most RAMP_MAX_STEP stops per frame. Longer exposures use the shutter first
+// and only add gain once the shutter is at its maximum; shorter ones drop the gain first.
+class ExposureRamp {
+    /**
+     * limits: { target, maxStep, minShutter, maxShutter, maxGain } (shutter in µs)
+     * start: { shutter, gain } to begin with; missing values use a mid-range default
+     */
+    constructor(limits, start = {}) {
+        this.limits = { ...limits, maxShutter: Math.max(limits.minShutter, limits.maxShutter), maxGain: Math.max(1, limits.maxGain) };
+        this.lastBrightness = null;
+        this.setExposure((start.shutter || DEFAULT_START.shutter) * (start.gain || DEFAULT_START.gain));
+    }
+
+    /**
+     * Shutter and gain for the next frame
+     */
+    getValues() {
+        return { shutter: this.shutter, gain: this.gain };
+    }
+
+    // Split a total exposure (µs x gain) into shutter and gain within the limits
+    setExposure(exposure) {
+        const { minShutter, maxShutter, maxGain } = this.limits;
+        const clamped = Math.min(Math.max(exposure, minShutter), maxShutter * maxGain);
+
+        this.shutter = Math.round(Math.min(clamped, maxShutter));
+        this.gain = Math.round((clamped / this.shutter) * 100) / 100;
+    }
+
+    /**
+     * Feed the mean brightness (0-255) of the frame just captured with getValues(). Returns the
+     * change applied in stops (EV); 0 when the frame was on target or the limits were reached.
+     */
+    update(brightness) {
+        this.lastBrightness = brightness;
+        const { target, maxStep } = this.limits;
+
+        // A black frame has no usable reading; treat it as one brightness level
+        const errorStops = DISPLAY_GAMMA * Math.log2(target / Math.max(brightness, 1));
+        const stops = Math.max(-maxStep, Math.min(maxStep, errorStops * CORRECTION_FACTOR));
+
+        const before = this.shutter * this.gain;
+        this.setExposure(before * 2 ** stops);
+        return Math.round(Math.log2((this.shutter * this.gain) / before) * 100) / 100 || 0;
+    }
+}
+
+module.exports = ExposureRamp;
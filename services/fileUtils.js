@@ -0,0 +1,38 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Flush a directory's entries, so a rename into it survives a power cut. Some
+// filesystems can't open or fsync a directory; the rename itself still happened.
+async function syncDirectory(dir) {
+    let handle;
+    try {
+        handle = await fs.open(dir, 'r');
+        await handle.sync();
+    } catch (error) {
+        if (!['EISDIR', 'EINVAL', 'EPERM', 'EACCES'].includes(error.code)) throw error;
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+/**
+ * Replace a file so that after a power cut it holds either the old or the new content:
+ * write a temp file, fsync it, rename it over the target, then fsync the directory.
+ * options.mode sets the file's permissions.
+ */
+async function writeFileAtomic(filePath, content, options = {}) {
+    const tempPath = `${filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w', options.mode);
+    try {
+        await handle.writeFile(content);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+    await syncDirectory(path.dirname(filePath));
+}
+
+module.exports = {
+    writeFileAtomic
+};
@@ -0,0 +1,34 @@
+// Helper function to format time (seconds to HH:MM:SS)
+function formatTime(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    return [h, m, s]
+        .map(v => v < 10 ? '0' + v : v)
+        .join(':');
+}
+
+// Helper function to format a byte count (e.g. 1.2 GB)
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Helper function to format a Date as local HH:MM
+function formatClockTime(date) {
+    return [date.getHours(), date.getMinutes()]
+        .map(v => v < 10 ? '0' + v : v)
+        .join(':');
+}
+
+module.exports = {
+    formatTime,
+    formatBytes,
+    formatClockTime
+};
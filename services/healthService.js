@@ -0,0 +1,215 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const { formatBytes, formatClockTime } = require('./formatUtils');
+const log = require('./logger').child('health');
+
+const execAsync = promisify(exec);
+
+const THERMAL_ZONE_PATH = '/sys/class/thermal/thermal_zone0/temp';
+
+// Bits of `vcgencmd get_throttled`: the low bits describe now, bits 16-19 "since boot"
+const THROTTLE_FLAGS = {
+    underVoltage: 0,
+    frequencyCapped: 1,
+    throttled: 2,
+    softTemperatureLimit: 3
+};
+const THROTTLE_HISTORY_OFFSET = 16;
+
+// A running capture counts as stalled once no frame arrived for this many intervals
+const STALLED_CAPTURE_INTERVALS = 3;
+
+// CPU, temperature, throttling, memory, disk and per-camera capture/stream health for the
+// dashboard and GET /api/v1/health. Readings that the platform doesn't offer (no thermal zone,
+// no vcgencmd off a Raspberry Pi) are reported as null rather than failing the report.
+class HealthService {
+    constructor(cameraRegistry) {
+        this.cameraRegistry = cameraRegistry;
+        this.thresholds = {
+            cpuLoadPercent: 90,
+            cpuTemperatureC: 75,
+            memoryPercent: 90,
+            captureSuccessPercent: 90
+        };
+        this.vcgencmdMissing = false;
+    }
+
+    /**
+     * Apply the HEALTH_* warning thresholds from the full config
+     */
+    configure(config) {
+        this.thresholds = {
+            cpuLoadPercent: config.healthCpuLoadWarn,
+            cpuTemperatureC: config.healthCpuTempWarn,
+            memoryPercent: config.healthMemoryWarn,
+            captureSuccessPercent: config.healthCaptureSuccessWarn
+        };
+    }
+
+    /**
+     * 1-minute load average as a percentage of all cores
+     */
+    getCpuLoad() {
+        const loadAverage = os.loadavg();
+        const cores = os.cpus().length || 1;
+        return {
+            percent: Math.round((loadAverage[0] / cores) * 100),
+            loadAverage: loadAverage.map(value => Number(value.toFixed(2))),
+            cores
+        };
+    }
+
+    /**
+     * SoC temperature in °C from the first thermal zone, or null where there is none
+     */
+    async getCpuTemperature() {
+        try {
+            const milliDegrees = parseInt(await fs.readFile(THERMAL_ZONE_PATH, 'utf8'), 10);
+            return Number.isFinite(milliDegrees) ? Math.round(milliDegrees / 100) / 10 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Raspberry Pi firmware throttling state, or null without vcgencmd
+     */
+    async getThrottling() {
+        if (this.vcgencmdMissing) return null;
+        try {
+            const { stdout } = await execAsync('vcgencmd get_throttled', { timeout: 2000 });
+            const match = /throttled=(0x[0-9a-f]+)/i.exec(stdout);
+            if (!match) return null;
+
+            const value = parseInt(match[1], 16);
+            const now = {};
+            const sinceBoot = {};
+            Object.entries(THROTTLE_FLAGS).forEach(([flag, bit]) => {
+                now[flag] = Boolean(value & (1 << bit));
+                sinceBoot[flag] = Boolean(value & (1 << (bit + THROTTLE_HISTORY_OFFSET)));
+            });
+            return { raw: match[1], now, sinceBoot };
+        } catch (error) {
+            // Not a Raspberry Pi (or no firmware tools); don't try again every few seconds
+            this.vcgencmdMissing = true;
+            log.debug('vcgencmd unavailable, throttling state will not be reported:', error.message);
+            return null;
+        }
+    }
+
+    getMemory() {
+        const total = os.totalmem();
+        const free = os.freemem();
+        return {
+            total,
+            used: total - free,
+            percent: Math.round(((total - free) / total) * 100),
+            processHeapUsed: process.memoryUsage().heapUsed
+        };
+    }
+
+    /**
+     * Free space on the volume holding the default camera's images (cameras normally share a disk)
+     */
+    async getDisk() {
+        try {
+            const storageService = this.cameraRegistry.getDefault().storageService;
+            const [space, status] = await Promise.all([storageService.getDiskSpace(), storageService.checkFreeSpace()]);
+            return { total: space.total, free: space.free, threshold: status.threshold, ok: status.ok };
+        } catch (error) {
+            log.error('Failed to read disk space:', error.message);
+            return null;
+        }
+    }
+
+    getCameraHealth(camera) {
+        const { cameraService } = camera;
+        const captureConfig = cameraService.captureConfig;
+        const stats = cameraService.getCaptureStats();
+        const intervalMs = captureConfig ? captureConfig.captureInterval * 1000 : null;
+        const stalled = Boolean(cameraService.isCapturing && stats.lastCaptureAt && intervalMs &&
+            Date.now() - new Date(stats.lastCaptureAt).getTime() > intervalMs * STALLED_CAPTURE_INTERVALS);
+
+        return {
+            id: camera.id,
+            name: camera.name,
+            isCapturing: cameraService.isCapturing,
+            capture: { ...stats, stalled },
+            stream: cameraService.getStreamProcessInfo()
+        };
+    }
+
+    /**
+     * Everything above plus the warnings for readings past their thresholds
+     */
+    async getReport() {
+        const [cpuTemperature, throttling, disk] = await Promise.all([
+            this.getCpuTemperature(),
+            this.getThrottling(),
+            this.getDisk()
+        ]);
+        const report = {
+            time: new Date().toISOString(),
+            cpu: { ...this.getCpuLoad(), temperature: cpuTemperature },
+            throttling,
+            memory: this.getMemory(),
+            disk,
+            uptime: { system: os.uptime(), process: process.uptime() },
+            cameras: this.cameraRegistry.list().map(camera => this.getCameraHealth(camera)),
+            thresholds: { ...this.thresholds }
+        };
+        report.warnings = this.getWarnings(report);
+        return report;
+    }
+
+    /**
+     * { key, message, cameraId? } for every reading that needs attention
+     */
+    getWarnings(report) {
+        const { thresholds } = this;
+        const warnings = [];
+        const label = (camera) => this.cameraRegistry.size > 1 ? `${camera.name}: ` : '';
+
+        if (report.cpu.percent >= thresholds.cpuLoadPercent) {
+            warnings.push({ key: 'cpuLoad', message: `CPU load is ${report.cpu.percent}% (warning at ${thresholds.cpuLoadPercent}%)` });
+        }
+        if (report.cpu.temperature !== null && report.cpu.temperature >= thresholds.cpuTemperatureC) {
+            warnings.push({ key: 'cpuTemperature', message: `CPU temperature is ${report.cpu.temperature} °C (warning at ${thresholds.cpuTemperatureC} °C)` });
+        }
+        if (report.throttling) {
+            const { now } = report.throttling;
+            if (now.underVoltage) {
+                warnings.push({ key: 'underVoltage', message: 'Under-voltage detected; check the power supply' });
+            }
+            if (now.throttled || now.frequencyCapped || now.softTemperatureLimit) {
+                warnings.push({ key: 'throttled', message: 'The CPU is being throttled' });
+            }
+        }
+        if (report.memory.percent >= thresholds.memoryPercent) {
+            warnings.push({ key: 'memory', message: `Memory use is ${report.memory.percent}% (warning at ${thresholds.memoryPercent}%)` });
+        }
+        if (report.disk && !report.disk.ok) {
+            warnings.push({ key: 'disk', message: `Only ${formatBytes(report.disk.free)} of disk space left (minimum ${formatBytes(report.disk.threshold)})` });
+        }
+
+        report.cameras.forEach(camera => {
+            const { capture } = camera;
+            if (camera.isCapturing && capture.successRate !== null && capture.successRate < thresholds.captureSuccessPercent) {
+                warnings.push({
+                    key: 'captureSuccess',
+                    cameraId: camera.id,
+                    message: `${label(camera)}${capture.successRate}% of the last ${capture.attempts} captures succeeded (warning below ${thresholds.captureSuccessPercent}%)`
+                });
+            }
+            if (capture.stalled) {
+                warnings.push({ key: 'captureStalled', cameraId: camera.id, message: `${label(camera)}No image captured since ${formatClockTime(new Date(capture.lastCaptureAt))}` });
+            }
+        });
+
+        return warnings;
+    }
+}
+
+module.exports = HealthService;
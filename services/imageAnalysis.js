@@ -0,0 +1,97 @@
+const { spawn } = require('child_process');
+
+// Frames are compared as small grayscale thumbnails: enough to notice something moving or the
+// light changing, cheap enough to decode every second on a Pi
+const THUMBNAIL_WIDTH = 64;
+const THUMBNAIL_HEIGHT = 48;
+
+// A pixel counts as changed when its brightness moved by more than this (0-255), which keeps
+// sensor noise and JPEG artefacts out of the comparison
+const PIXEL_CHANGE_THRESHOLD = 25;
+
+const DECODE_TIMEOUT_MS = 10000;
+
+/**
+ * Decode a JPEG (a file path or a Buffer) into a THUMBNAIL_WIDTH x THUMBNAIL_HEIGHT grayscale
+ * thumbnail: { width, height, pixels } with one byte per pixel.
+ */
+function loadThumbnail(source, { width = THUMBNAIL_WIDTH, height = THUMBNAIL_HEIGHT } = {}) {
+    const fromBuffer = Buffer.isBuffer(source);
+    const args = [
+        '-v', 'error',
+        '-i', fromBuffer ? 'pipe:0' : source,
+        '-frames:v', '1',
+        '-vf', `scale=${width}:${height},format=gray`,
+        '-f', 'rawvideo',
+        'pipe:1'
+    ];
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', args);
+        const chunks = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), DECODE_TIMEOUT_MS);
+
+        ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        ffmpeg.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error('ffmpeg not found. Install it with: sudo apt-get install ffmpeg') : error);
+        });
+        ffmpeg.on('close', (code, signal) => {
+            clearTimeout(timer);
+            const pixels = Buffer.concat(chunks);
+            if (code !== 0 || pixels.length !== width * height) {
+                const reason = stderr.trim().split('\n').pop() || `got ${pixels.length} of ${width * height} bytes`;
+                reject(new Error(`Cannot decode frame (${signal || `code ${code}`}): ${reason}`));
+                return;
+            }
+            resolve({ width, height, pixels });
+        });
+
+        // A frame that ffmpeg rejects early closes stdin; that is reported by 'close' above
+        ffmpeg.stdin.on('error', () => {});
+        if (fromBuffer) {
+            ffmpeg.stdin.end(source);
+        } else {
+            ffmpeg.stdin.end();
+        }
+    });
+}
+
+/**
+ * Percentage (0-100, one decimal) of pixels whose brightness differs noticeably between two thumbnails
+ */
+function compareThumbnails(previous, current, pixelThreshold = PIXEL_CHANGE_THRESHOLD) {
+    if (previous.pixels.length !== current.pixels.length) {
+        throw new Error('Cannot compare thumbnails of different sizes');
+    }
+
+    let changed = 0;
+    for (let index = 0; index < current.pixels.length; index++) {
+        if (Math.abs(current.pixels[index] - previous.pixels[index]) > pixelThreshold) {
+            changed++;
+        }
+    }
+    return Math.round((changed / current.pixels.length) * 1000) / 10;
+}
+
+/**
+ * Mean brightness (0-255, one decimal) of a thumbnail
+ */
+function getBrightness(thumbnail) {
+    let sum = 0;
+    for (let index = 0; index < thumbnail.pixels.length; index++) {
+        sum += thumbnail.pixels[index];
+    }
+    return Math.round((sum / thumbnail.pixels.length) * 10) / 10;
+}
+
+module.exports = {
+    loadThumbnail,
+    compareThumbnails,
+    getBrightness
+};
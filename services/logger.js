@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { EventEmitter } = require('events');
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// LOG_FILE is rotated to LOG_FILE.1 ... LOG_FILE.<MAX_LOG_FILES> once it reaches this size
+const MAX_LOG_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_LOG_FILES = 5;
+
+// Entries kept in memory for the dashboard's log viewer
+const RECENT_ENTRY_LIMIT = 500;
+
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+// Leveled logger shared by the whole server. Entries are { time, level, tag, message };
+// the console gets one readable line per entry, LOG_FILE one JSON object per line, and
+// 'entry' listeners (the dashboard log viewer) every entry as it is written.
+class Logger extends EventEmitter {
+    constructor() {
+        super();
+        this.level = 'info';
+        this.filePath = null;
+        this.fileStream = null;
+        this.fileSize = 0;
+        this.recentEntries = [];
+    }
+
+    /**
+     * Apply LOG_LEVEL / LOG_FILE. Relative log files are resolved against the project root.
+     */
+    configure({ level, file } = {}) {
+        if (level && LEVELS.includes(level)) {
+            this.level = level;
+        }
+        if (file !== undefined) {
+            const filePath = file ? path.resolve(__dirname, '..', file) : null;
+            if (filePath !== this.filePath) {
+                this.openFile(filePath);
+            }
+        }
+    }
+
+    openFile(filePath) {
+        this.closeFile();
+        this.filePath = filePath;
+        if (!filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            // Opened synchronously so the file exists (and can be rotated) before the first write lands
+            const fd = fs.openSync(filePath, 'a');
+            this.fileSize = fs.fstatSync(fd).size;
+            this.fileStream = fs.createWriteStream(null, { fd });
+            this.fileStream.on('error', (error) => {
+                console.error(`Log file ${filePath} failed, logging to the console only:`, error.message);
+                this.fileStream = null;
+            });
+        } catch (error) {
+            console.error(`Cannot open log file ${filePath}, logging to the console only:`, error.message);
+            this.fileStream = null;
+        }
+    }
+
+    closeFile() {
+        if (this.fileStream) {
+            this.fileStream.end();
+            this.fileStream = null;
+        }
+    }
+
+    // Shift LOG_FILE.N-1 to LOG_FILE.N and start a new file. Pending writes finish in the renamed file.
+    rotate() {
+        const filePath = this.filePath;
+        this.closeFile();
+        try {
+            for (let index = MAX_LOG_FILES - 1; index >= 1; index--) {
+                if (fs.existsSync(`${filePath}.${index}`)) {
+                    fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+                }
+            }
+            fs.renameSync(filePath, `${filePath}.1`);
+        } catch (error) {
+            console.error('Failed to rotate log file:', error.message);
+        }
+        this.openFile(filePath);
+    }
+
+    isEnabled(level) {
+        return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Write an entry. args are formatted like console.log, so errors keep their stack.
+     */
+    write(level, tag, args) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            tag,
+            message: util.format(...args)
+        };
+
+        const prefix = `${entry.time} ${level.toUpperCase().padEnd(5)} ${tag ? `[${tag}] ` : ''}`;
+        console[CONSOLE_METHODS[level]](prefix + entry.message);
+
+        if (this.fileStream) {
+            const line = JSON.stringify(entry) + '\n';
+            this.fileStream.write(line);
+            this.fileSize += Buffer.byteLength(line);
+            if (this.fileSize >= MAX_LOG_FILE_BYTES) {
+                this.rotate();
+            }
+        }
+
+        this.recentEntries.push(entry);
+        if (this.recentEntries.length > RECENT_ENTRY_LIMIT) {
+            this.recentEntries.shift();
+        }
+        this.emit('entry', entry);
+    }
+
+    getRecentEntries() {
+        return [...this.recentEntries];
+    }
+
+    /**
+     * A logger that tags every entry with a module name (camera, stream, config, scheduler, ...)
+     */
+    child(tag) {
+        const log = {};
+        LEVELS.forEach(level => {
+            log[level] = (...args) => this.write(level, tag, args);
+        });
+        return log;
+    }
+
+    /**
+     * Log each complete line a child process writes (mjpg-streamer, ffmpeg) at the given level
+     */
+    pipeLines(stream, log, level, prefix) {
+        let buffered = '';
+        stream.on('data', (data) => {
+            const lines = (buffered + data.toString()).split(/\r?\n|\r/);
+            buffered = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => log[level](`${prefix}: ${line}`));
+        });
+        stream.on('end', () => {
+            if (buffered.trim()) log[level](`${prefix}: ${buffered}`);
+        });
+    }
+}
+
+const logger = new Logger();
+logger.LEVELS = LEVELS;
+
+module.exports = logger;
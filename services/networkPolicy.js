@@ -0,0 +1,156 @@
+const net = require('net');
+
+// Private IPv4 ranges (RFC 1918), loopback and link-local
+const LOCAL_IPV4_RANGES = [
+    ['10.0.0.0', 8],
+    ['172.16.0.0', 12],
+    ['192.168.0.0', 16],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16]
+];
+
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((value, octet) => (value * 256) + parseInt(octet, 10), 0);
+}
+
+// HOST values that mean "every interface"
+function isWildcardAddress(host) {
+    return !host || host === '0.0.0.0' || host === '::';
+}
+
+/**
+ * True for loopback, private (LAN) and link-local addresses, IPv4 or IPv6
+ */
+function isLocalAddress(address) {
+    if (!address) return false;
+    let ip = String(address).toLowerCase();
+    if (ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+        ip = ip.slice(7); // IPv4 client on a dual-stack socket
+    }
+
+    if (net.isIPv4(ip)) {
+        const value = ipv4ToNumber(ip);
+        return LOCAL_IPV4_RANGES.some(([base, bits]) => {
+            const size = 2 ** (32 - bits);
+            const start = ipv4ToNumber(base);
+            return value >= start && value < start + size;
+        });
+    }
+
+    if (net.isIPv6(ip)) {
+        // ::1 loopback, fc00::/7 unique local, fe80::/10 link-local
+        return ip === '::1' || /^f[cd][0-9a-f]{2}:/.test(ip) || /^fe[89ab][0-9a-f]:/.test(ip);
+    }
+    return false;
+}
+
+// HOST, CORS_ORIGIN and ENABLE_REMOTE_ACCESS applied to Express and Socket.IO.
+// CORS_ORIGIN is "*" or a comma-separated list of origins (e.g. https://ha.example.com).
+class NetworkPolicy {
+    constructor(config = {}) {
+        this.host = config.host || '0.0.0.0';
+        this.port = config.port;
+        this.enableRemoteAccess = config.enableRemoteAccess !== false;
+
+        const origins = String(config.corsOrigin || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+        this.allowAnyOrigin = origins.includes('*');
+        this.corsOrigins = this.allowAnyOrigin ? [] : origins;
+    }
+
+    isClientAllowed(address) {
+        return this.enableRemoteAccess || isLocalAddress(address);
+    }
+
+    /**
+     * Requests without an Origin header (curl, scripts) and same-origin requests are always allowed
+     */
+    isOriginAllowed(origin, requestHost) {
+        if (!origin || this.allowAnyOrigin) return true;
+        try {
+            if (new URL(origin).host === requestHost) return true;
+        } catch (error) {
+            return false;
+        }
+        return this.corsOrigins.includes(origin);
+    }
+
+    /**
+     * Express middleware: refuse remote clients when remote access is off and answer CORS
+     * preflights. Browsers enforce CORS themselves, so disallowed origins just get no CORS headers.
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.isClientAllowed(req.socket.remoteAddress)) {
+                return res.status(403).json({ error: 'Remote access is disabled' });
+            }
+
+            const origin = req.headers.origin;
+            const allowed = this.isOriginAllowed(origin, req.headers.host);
+            if (origin && allowed) {
+                if (this.allowAnyOrigin) {
+                    res.setHeader('Access-Control-Allow-Origin', '*');
+                } else {
+                    res.setHeader('Access-Control-Allow-Origin', origin);
+                    res.setHeader('Access-Control-Allow-Credentials', 'true');
+                    res.vary('Origin');
+                }
+            }
+
+            if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+                if (!allowed) {
+                    return res.status(403).end();
+                }
+                res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+                res.setHeader('Access-Control-Max-Age', '600');
+                return res.status(204).end();
+            }
+            next();
+        };
+    }
+
+    /**
+     * Socket.IO allowRequest hook. WebSockets are not subject to CORS, so the origin is checked here.
+     */
+    allowSocketRequest() {
+        return (req, callback) => {
+            if (!this.isClientAllowed(req.socket.remoteAddress)) {
+                return callback('Remote access is disabled', false);
+            }
+            if (!this.isOriginAllowed(req.headers.origin, req.headers.host)) {
+                return callback('Origin not allowed', false);
+            }
+            callback(null, true);
+        };
+    }
+
+    // Socket.IO cors option, so polling responses carry the same headers as Express
+    getSocketCorsOptions() {
+        return this.allowAnyOrigin
+            ? { origin: '*' }
+            : { origin: this.corsOrigins, credentials: true };
+    }
+
+    /**
+     * Lines describing the effective policy, logged at startup
+     */
+    describe(streamPorts = []) {
+        const bind = isWildcardAddress(this.host) ? `all interfaces (${this.host})` : this.host;
+        const lines = [
+            `Listening on ${bind}, port ${this.port}`,
+            this.enableRemoteAccess
+                ? 'Remote access: enabled (any client address)'
+                : 'Remote access: disabled (loopback and LAN clients only)',
+            `CORS origins: ${this.allowAnyOrigin ? 'any (*)' : (this.corsOrigins.join(', ') || 'same origin only')}`
+        ];
+        if (streamPorts.length > 0) {
+            lines.push(`mjpg-streamer listens on 127.0.0.1 only, port${streamPorts.length > 1 ? 's' : ''} ${streamPorts.join(', ')}; clients watch through /api/v1/cameras/:cameraId/stream/live`);
+        }
+        return lines;
+    }
+}
+
+NetworkPolicy.isLocalAddress = isLocalAddress;
+NetworkPolicy.isWildcardAddress = isWildcardAddress;
+
+module.exports = NetworkPolicy;
@@ -0,0 +1,258 @@
+const { getSunTimes, parseSolarTime, resolveSolarTime } = require('./solar');
+const { formatClockTime } = require('./formatUtils');
+const log = require('./logger').child('scheduler');
+
+// Re-check at least this often so wall-clock jumps (NTP sync after boot on an
+// RTC-less Pi, DST changes) can't leave a transition timer pointing at the wrong moment.
+const MAX_TIMER_DELAY_MS = 60 * 1000;
+
+// How far ahead to look for the next window; sunrise/sunset schedules can skip days near the poles
+const NEXT_WINDOW_SEARCH_DAYS = 7;
+
+class SchedulerService {
+    constructor() {
+        this.timer = null;
+        this.config = null;
+        this.configKey = null;
+        this.handlers = {};
+        this.insideWindow = null; // Last evaluated window state, used for edge detection
+        this.loggedDay = null; // Day whose windows were last logged
+    }
+
+    /**
+     * Start (or reconfigure) the daily schedule.
+     * handlers.onStart / handlers.onStop are called when the window opens and closes.
+     * If the server comes up inside the window, onStart fires immediately.
+     */
+    start(config, handlers = {}) {
+        const configKey = [config.scheduleEnabled, config.scheduleType, config.startTime, config.stopTime, config.latitude, config.longitude].join('|');
+        this.handlers = handlers;
+
+        // Saving unrelated settings must not re-trigger a start the user already overrode
+        if (configKey === this.configKey && (this.timer || !config.scheduleEnabled)) {
+            return;
+        }
+
+        this.stop();
+        this.config = { ...config };
+        this.configKey = configKey;
+
+        if (!config.scheduleEnabled) {
+            log.info('Daily schedule disabled');
+            return;
+        }
+
+        const window = this.getWindow();
+        if (!window) {
+            log.error(`Invalid schedule window ${this.describeWindow()}, scheduler not started`);
+            return;
+        }
+
+        log.info(`Daily schedule enabled: ${this.describeWindow()}`);
+        this.evaluate();
+    }
+
+    /**
+     * Cancel any pending transition
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.insideWindow = null;
+        this.configKey = null;
+        this.loggedDay = null;
+    }
+
+    describeWindow(config = this.config) {
+        const type = config.scheduleType || 'times';
+        return type === 'times' ? `${config.startTime} - ${config.stopTime}` : type;
+    }
+
+    /**
+     * Parse an "HH:MM" string into minutes after midnight
+     */
+    parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match) return null;
+
+        const hours = parseInt(match[1]);
+        const minutes = parseInt(match[2]);
+        if (hours > 23 || minutes > 59) return null;
+
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Parse a start or stop time: { minutes } after midnight, or a solar { event, offset }
+     */
+    parseScheduleTime(value) {
+        const minutes = this.parseTime(value);
+        if (minutes !== null) return { minutes };
+        return parseSolarTime(value);
+    }
+
+    hasLocation(config) {
+        return Number.isFinite(config.latitude) && Number.isFinite(config.longitude);
+    }
+
+    /**
+     * Get the configured window as { type, start, stop } (parsed times, only for type 'times'), or null if unusable
+     */
+    getWindow(config = this.config) {
+        if (!config) return null;
+
+        const type = config.scheduleType || 'times';
+        if (type !== 'times') {
+            return this.hasLocation(config) ? { type } : null;
+        }
+
+        const start = this.parseScheduleTime(config.startTime);
+        const stop = this.parseScheduleTime(config.stopTime);
+        if (!start || !stop || config.startTime === config.stopTime) return null;
+        if ((start.event || stop.event) && !this.hasLocation(config)) return null;
+
+        return { type, start, stop };
+    }
+
+    // When a parsed start/stop time falls on the local day of date (null if the sun doesn't get there that day)
+    resolveTime(time, date, config) {
+        if (time.event) {
+            return resolveSolarTime(time, date, config.latitude, config.longitude);
+        }
+        const at = new Date(date);
+        at.setHours(Math.floor(time.minutes / 60), time.minutes % 60, 0, 0);
+        return at;
+    }
+
+    /**
+     * The windows that open on the local day of date, as [{ start, stop }] Dates. A stop at or
+     * before its start (22:00 - 06:00, sunset - sunrise) closes the window on the next day.
+     * Days on which the sun never reaches a solar time (polar day or night) have no window.
+     */
+    getWindowsForDay(date, config = this.config) {
+        const window = this.getWindow(config);
+        if (!window) return [];
+
+        if (window.type !== 'times') {
+            const sun = getSunTimes(date, config.latitude, config.longitude);
+            const windows = [];
+            if (window.type !== 'golden-hour-evening') windows.push({ start: sun.sunrise, stop: sun.goldenHourEnd });
+            if (window.type !== 'golden-hour-morning') windows.push({ start: sun.goldenHourStart, stop: sun.sunset });
+            return windows.filter(({ start, stop }) => start && stop);
+        }
+
+        const start = this.resolveTime(window.start, date, config);
+        let stop = this.resolveTime(window.stop, date, config);
+        if (start && stop && stop <= start) {
+            const nextDay = new Date(date);
+            nextDay.setDate(nextDay.getDate() + 1);
+            stop = this.resolveTime(window.stop, nextDay, config);
+        }
+        return start && stop && stop > start ? [{ start, stop }] : [];
+    }
+
+    // Windows opening between daysBefore days before and daysAfter days after date, earliest first
+    getWindowsAround(date, daysBefore, daysAfter, config = this.config) {
+        const windows = [];
+        for (let offset = -daysBefore; offset <= daysAfter; offset++) {
+            const day = new Date(date);
+            day.setDate(day.getDate() + offset);
+            windows.push(...this.getWindowsForDay(day, config));
+        }
+        return windows.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Check whether a moment falls inside a window (including one that opened the day before)
+     */
+    isWithinWindow(date = new Date(), config = this.config) {
+        return this.getWindowsAround(date, 1, 0, config).some(({ start, stop }) => date >= start && date < stop);
+    }
+
+    /**
+     * Get the next start/stop transition after a moment, or null if no window opens within a week
+     * (a sunrise schedule during polar night)
+     */
+    getNextTransition(date = new Date()) {
+        if (!this.config || !this.config.scheduleEnabled || !this.getWindow()) return null;
+
+        const windows = this.getWindowsAround(date, 1, NEXT_WINDOW_SEARCH_DAYS);
+        const current = windows.find(({ start, stop }) => date >= start && date < stop);
+        if (current) {
+            return { action: 'stop', at: current.stop };
+        }
+        const next = windows.find(({ start }) => start > date);
+        return next ? { action: 'start', at: next.start } : null;
+    }
+
+    /**
+     * Compare the current window state with the last one and fire handlers on change
+     */
+    evaluate() {
+        this.timer = null;
+
+        const now = new Date();
+        const inside = this.isWithinWindow(now);
+
+        // Outside the window on the first pass: nothing to stop that the schedule started
+        if (this.insideWindow === null && !inside) {
+            this.insideWindow = false;
+        } else if (inside !== this.insideWindow) {
+            this.insideWindow = inside;
+            const handler = inside ? this.handlers.onStart : this.handlers.onStop;
+
+            log.info(`Schedule window ${inside ? 'opened' : 'closed'} at ${now.toLocaleTimeString()}`);
+            if (handler) {
+                Promise.resolve()
+                    .then(() => handler())
+                    .catch(error => log.error('Scheduled transition failed:', error));
+            }
+        }
+
+        this.logDailyWindows(now);
+
+        const next = this.getNextTransition(now);
+        const delay = next ? Math.min(Math.max(next.at - now, 1000), MAX_TIMER_DELAY_MS) : MAX_TIMER_DELAY_MS;
+        this.timer = setTimeout(() => this.evaluate(), delay);
+    }
+
+    // Sunrise and sunset move every day, so the day's windows are logged once the date changes
+    logDailyWindows(now) {
+        const day = now.toDateString();
+        if (day === this.loggedDay) return;
+        this.loggedDay = day;
+
+        const windows = this.getWindowsForDay(now);
+        const times = windows.map(({ start, stop }) => `${formatClockTime(start)} - ${formatClockTime(stop)}`).join(', ');
+        log.info(`Schedule for ${day}: ${times || 'no capture window (the sun does not reach the configured times)'}`);
+    }
+
+    /**
+     * Get the scheduler state for status updates
+     */
+    getStatus() {
+        const enabled = Boolean(this.config && this.config.scheduleEnabled && this.timer);
+        const now = new Date();
+        const next = enabled ? this.getNextTransition(now) : null;
+        const toIso = (date) => date ? date.toISOString() : null;
+
+        // Today's computed windows and, with a location, the sun's times they come from
+        let sun = null;
+        if (this.config && this.hasLocation(this.config)) {
+            const times = getSunTimes(now, this.config.latitude, this.config.longitude);
+            sun = Object.fromEntries(Object.entries(times).map(([event, at]) => [event, toIso(at)]));
+        }
+
+        return {
+            enabled,
+            type: this.config ? this.config.scheduleType || 'times' : null,
+            nextTransition: next ? { action: next.action, at: next.at.toISOString() } : null,
+            today: enabled ? this.getWindowsForDay(now).map(({ start, stop }) => ({ start: toIso(start), stop: toIso(stop) })) : [],
+            sun
+        };
+    }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,268 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./fileUtils');
+const log = require('./logger').child('session');
+
+const MANIFEST_FILENAME = 'session.json';
+const CAPTURE_STATE_FILENAME = '.capture-state.json';
+// Deflickered/stabilized copies of a session's frames, with the settings they were made with
+const PROCESSED_DIRNAME = 'processed';
+const PROCESSING_INFO_FILENAME = 'processing.json';
+
+// JPEG file names in dir; none if it doesn't exist
+async function listImageNames(dir) {
+    try {
+        return (await fs.readdir(dir)).filter(file => /\.jpe?g$/i.test(file));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+class SessionService {
+    constructor(outputDir) {
+        this.outputDir = outputDir;
+    }
+
+    /**
+     * Build a filesystem-safe session id from a start time and a display name
+     */
+    createSessionId(name, date = new Date()) {
+        const stamp = date.toISOString().replace(/\..+$/, '').replace(/:/g, '-');
+        const slug = (name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40);
+        return slug ? `${stamp}_${slug}` : stamp;
+    }
+
+    /**
+     * Resolve a session id to its directory; rejects anything that could escape outputDir
+     */
+    getSessionDir(sessionId) {
+        if (typeof sessionId !== 'string' || !sessionId || path.basename(sessionId) !== sessionId || sessionId.startsWith('.')) {
+            throw new Error('Invalid session id');
+        }
+        return path.join(this.outputDir, sessionId);
+    }
+
+    getManifestPath(sessionId) {
+        return path.join(this.getSessionDir(sessionId), MANIFEST_FILENAME);
+    }
+
+    getProcessedDir(sessionId) {
+        return path.join(this.getSessionDir(sessionId), PROCESSED_DIRNAME);
+    }
+
+    /**
+     * How the session's processed frames were made ({ processedAt, frameCount, deflicker, stabilize, ... }),
+     * or null if it has none
+     */
+    async readProcessingInfo(sessionId) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.getProcessedDir(sessionId), PROCESSING_INFO_FILENAME), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async saveProcessingInfo(sessionId, info, processedDir = this.getProcessedDir(sessionId)) {
+        await this.writeJsonAtomic(path.join(processedDir, PROCESSING_INFO_FILENAME), info);
+    }
+
+    /**
+     * Create the session folder and its initial manifest
+     */
+    async createSession(name, config) {
+        const startedAt = new Date();
+        const displayName = (name && name.trim()) || `Timelapse ${startedAt.toLocaleString()}`;
+        const id = this.createSessionId(name, startedAt);
+
+        await fs.mkdir(this.getSessionDir(id), { recursive: true });
+
+        const manifest = {
+            id,
+            name: displayName,
+            preset: config.preset || null,
+            config: { ...config },
+            startedAt: startedAt.toISOString(),
+            stoppedAt: null,
+            frames: [],
+            errors: []
+        };
+        await this.saveManifest(manifest);
+
+        log.info(`Created capture session ${id}`);
+        return manifest;
+    }
+
+    // Only folders with a manifest are sessions; others (such as a second camera's OUTPUT_DIR/<id>) are left alone
+    async isSession(sessionId) {
+        return fs.access(this.getManifestPath(sessionId)).then(() => true, () => false);
+    }
+
+    async readManifest(sessionId) {
+        const content = await fs.readFile(this.getManifestPath(sessionId), 'utf8');
+        return JSON.parse(content);
+    }
+
+    /**
+     * Persist a session manifest
+     */
+    async saveManifest(manifest) {
+        await this.writeJsonAtomic(this.getManifestPath(manifest.id), manifest);
+    }
+
+    /**
+     * List all sessions with summary information, newest first
+     */
+    async listSessions() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.outputDir, { withFileTypes: true });
+        } catch (error) {
+            log.error('Failed to list sessions:', error);
+            return [];
+        }
+
+        const sessions = await Promise.all(
+            entries
+                .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+                .map(async (entry) => {
+                    try {
+                        const manifest = await this.readManifest(entry.name);
+                        const processing = await this.readProcessingInfo(entry.name);
+                        return {
+                            id: manifest.id,
+                            name: manifest.name,
+                            preset: manifest.preset || null,
+                            startedAt: manifest.startedAt,
+                            stoppedAt: manifest.stoppedAt,
+                            frameCount: manifest.frames.length,
+                            errorCount: manifest.errors.length,
+                            gapCount: (manifest.gaps || []).length,
+                            skippedSlots: manifest.skippedSlots || 0,
+                            captureMode: (manifest.config && manifest.config.captureMode) || 'interval',
+                            // Frames change mode dropped as unchanged and motion triggers
+                            modeStats: manifest.modeStats || null,
+                            // Processed frames ready to render instead of the captured ones
+                            processed: processing,
+                            // Set when the watchdog stopped the session after repeated capture failures
+                            failed: Boolean(manifest.failure)
+                        };
+                    } catch (error) {
+                        return null; // Not a session directory
+                    }
+                })
+        );
+
+        return sessions
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    }
+
+    /**
+     * Write a JSON file atomically and durably so a power cut can't leave it truncated
+     */
+    async writeJsonAtomic(filePath, data) {
+        await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    }
+
+    getCaptureStatePath() {
+        return path.join(this.outputDir, CAPTURE_STATE_FILENAME);
+    }
+
+    /**
+     * Persist the state of the running capture so it can be resumed after a restart
+     */
+    async saveCaptureState(state) {
+        await this.writeJsonAtomic(this.getCaptureStatePath(), { ...state, savedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Load the interrupted capture state, or null if the last capture stopped cleanly
+     */
+    async loadCaptureState() {
+        try {
+            return JSON.parse(await fs.readFile(this.getCaptureStatePath(), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Ignoring unreadable capture state:', error.message);
+            }
+            return null;
+        }
+    }
+
+    async clearCaptureState() {
+        await fs.rm(this.getCaptureStatePath(), { force: true });
+    }
+
+    /**
+     * Delete frames of a finished session (with their processed copies) and drop them from its
+     * manifest and processing info, so frame counts, renders and resumes only see frames that
+     * exist. A session left with no frames at all is removed. Returns { deleted, freedBytes }.
+     */
+    async pruneFrames(sessionId, filenames) {
+        const sessionDir = this.getSessionDir(sessionId);
+        const processedDir = this.getProcessedDir(sessionId);
+        const result = { deleted: 0, freedBytes: 0 };
+        const removed = new Set();
+
+        for (const filename of filenames) {
+            for (const dir of [sessionDir, processedDir]) {
+                const filepath = path.join(dir, filename);
+                try {
+                    const { size } = await fs.stat(filepath);
+                    await fs.unlink(filepath);
+                    result.freedBytes += size;
+                    if (dir === sessionDir) {
+                        result.deleted++;
+                        removed.add(filename);
+                    }
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        log.error(`Failed to delete ${filepath}:`, error.message);
+                    }
+                }
+            }
+        }
+
+        let manifest;
+        try {
+            manifest = await this.readManifest(sessionId);
+        } catch (error) {
+            return result; // A folder without a manifest has nothing to keep in step
+        }
+
+        if ((await listImageNames(sessionDir)).length === 0) {
+            await this.deleteSession(sessionId);
+            return result;
+        }
+
+        manifest.frames = manifest.frames.filter(frame => !removed.has(frame.filename));
+        manifest.prunedFrames = (manifest.prunedFrames || 0) + removed.size;
+        await this.saveManifest(manifest);
+
+        const processing = await this.readProcessingInfo(sessionId);
+        if (processing) {
+            const processedFrames = (await listImageNames(processedDir)).length;
+            if (processedFrames === 0) {
+                await fs.rm(processedDir, { recursive: true, force: true });
+            } else if (processedFrames !== processing.frameCount) {
+                await this.saveProcessingInfo(sessionId, { ...processing, frameCount: processedFrames });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Remove a session folder with its frames and manifest
+     */
+    async deleteSession(sessionId) {
+        await fs.rm(this.getSessionDir(sessionId), { recursive: true, force: true });
+        log.info(`Deleted capture session ${sessionId}`);
+    }
+}
+
+module.exports = SessionService;
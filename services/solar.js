@@ -0,0 +1,111 @@
+// Offline sunrise/sunset calculation for the solar schedule, after the NOAA / Astronomical
+// Algorithms approximations (accurate to about a minute away from the poles)
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = 23.4397 * RAD;
+
+// Sun altitude (degrees) at each pair of morning/evening events. -0.833° accounts for
+// refraction and the size of the sun's disc; golden hour is the sun below 6°.
+const SUN_ALTITUDES = [
+    { altitude: -6, rising: 'dawn', setting: 'dusk' },
+    { altitude: -0.833, rising: 'sunrise', setting: 'sunset' },
+    { altitude: 6, rising: 'goldenHourEnd', setting: 'goldenHourStart' }
+];
+
+// Event names allowed in SCHEDULE_START_TIME / SCHEDULE_STOP_TIME and the time they stand for
+const SOLAR_EVENTS = {
+    dawn: 'dawn',
+    sunrise: 'sunrise',
+    noon: 'solarNoon',
+    sunset: 'sunset',
+    dusk: 'dusk'
+};
+
+// Offsets are whole minutes, up to half a day either way
+const MAX_OFFSET_MINUTES = 720;
+
+function toDays(date) {
+    return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(julianDay) {
+    return new Date((julianDay + 0.5 - J1970) * DAY_MS);
+}
+
+/**
+ * Solar noon plus dawn/dusk (civil twilight), sunrise/sunset and the end/start of golden hour on
+ * the local calendar day of date, as Dates. Events that don't happen that day (midnight sun,
+ * polar night) are null.
+ */
+function getSunTimes(date, latitude, longitude) {
+    const lw = -longitude * RAD;
+    const phi = latitude * RAD;
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+
+    const cycle = Math.round(toDays(noon) - J0 - lw / (2 * Math.PI));
+    const approxTransit = (hourAngle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+
+    const days = approxTransit(0);
+    const meanAnomaly = (357.5291 + 0.98560028 * days) * RAD;
+    const center = (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly)) * RAD;
+    const eclipticLongitude = meanAnomaly + center + 102.9372 * RAD + Math.PI;
+    const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLongitude));
+    const transit = (value) => J2000 + value + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+    const solarNoon = transit(days);
+    const times = { solarNoon: fromJulian(solarNoon) };
+
+    SUN_ALTITUDES.forEach(({ altitude, rising, setting }) => {
+        const cosHourAngle = (Math.sin(altitude * RAD) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+        if (cosHourAngle < -1 || cosHourAngle > 1) {
+            // The sun stays above (or below) this altitude all day
+            times[rising] = null;
+            times[setting] = null;
+            return;
+        }
+        const set = transit(approxTransit(Math.acos(cosHourAngle)));
+        times[rising] = fromJulian(solarNoon - (set - solarNoon));
+        times[setting] = fromJulian(set);
+    });
+
+    return times;
+}
+
+/**
+ * Parse "sunrise", "sunset+30", "dusk - 15" ... into { event, offset } (offset in minutes),
+ * or null when value isn't a solar time
+ */
+function parseSolarTime(value) {
+    const match = /^(\w+)\s*(?:([+-])\s*(\d{1,3}))?$/.exec(String(value || '').trim().toLowerCase());
+    if (!match || !SOLAR_EVENTS[match[1]]) return null;
+
+    const offset = match[3] ? parseInt(match[3], 10) * (match[2] === '-' ? -1 : 1) : 0;
+    if (Math.abs(offset) > MAX_OFFSET_MINUTES) return null;
+    return { event: match[1], offset };
+}
+
+function formatSolarTime({ event, offset }) {
+    if (!offset) return event;
+    return `${event}${offset > 0 ? '+' : '-'}${Math.abs(offset)}`;
+}
+
+/**
+ * When a parsed solar time falls on the local day of date, or null if its event doesn't happen that day
+ */
+function resolveSolarTime({ event, offset }, date, latitude, longitude) {
+    const time = getSunTimes(date, latitude, longitude)[SOLAR_EVENTS[event]];
+    return time ? new Date(time.getTime() + offset * 60 * 1000) : null;
+}
+
+module.exports = {
+    SOLAR_EVENTS,
+    MAX_OFFSET_MINUTES,
+    getSunTimes,
+    parseSolarTime,
+    formatSolarTime,
+    resolveSolarTime
+};
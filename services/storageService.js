@@ -0,0 +1,207 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const SessionService = require('./sessionService');
+const log = require('./logger').child('storage');
+
+const execFileAsync = promisify(execFile);
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+const BYTES_PER_MB = 1024 * 1024;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class StorageService {
+    // outputDir may be a function, so the folder follows OUTPUT_DIR changes made at runtime
+    constructor(outputDir) {
+        this.resolveOutputDir = typeof outputDir === 'function' ? outputDir : () => outputDir;
+        this.settings = {
+            autoCleanup: true,
+            maxImages: 1000,
+            maxStorageGb: 10,
+            cleanupOlderThanDays: 7,
+            minFreeSpaceMb: 500
+        };
+        this.isPruning = false;
+    }
+
+    get outputDir() {
+        return this.resolveOutputDir();
+    }
+
+    /**
+     * Apply retention settings from the full config
+     */
+    configure(config) {
+        this.settings = {
+            autoCleanup: config.autoCleanup,
+            maxImages: config.maxImages,
+            maxStorageGb: config.maxStorageGb,
+            cleanupOlderThanDays: config.cleanupOlderThanDays,
+            minFreeSpaceMb: config.minFreeSpaceMb
+        };
+    }
+
+    /**
+     * Get total/free/used bytes for the filesystem holding the output directory
+     */
+    async getDiskSpace() {
+        // fs.statfs only exists on Node 18.15+, fall back to df elsewhere
+        if (typeof fs.statfs === 'function') {
+            const stats = await fs.statfs(this.outputDir);
+            const total = stats.blocks * stats.bsize;
+            const free = stats.bavail * stats.bsize;
+            return { total, free, used: total - free };
+        }
+
+        const { stdout } = await execFileAsync('df', ['-Pk', this.outputDir]);
+        const columns = stdout.trim().split('\n').pop().split(/\s+/);
+        const total = parseInt(columns[1]) * 1024;
+        const free = parseInt(columns[3]) * 1024;
+        return { total, free, used: total - free };
+    }
+
+    /**
+     * Check free space against MIN_FREE_SPACE_MB
+     */
+    async checkFreeSpace() {
+        const space = await this.getDiskSpace();
+        const threshold = this.settings.minFreeSpaceMb * BYTES_PER_MB;
+        return { ok: space.free >= threshold, free: space.free, threshold };
+    }
+
+    /**
+     * List images in a directory with size and modification time; none if it doesn't exist
+     */
+    async listImagesIn(dir) {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const imageFiles = files.filter(file =>
+            file.toLowerCase().endsWith('.jpg') ||
+            file.toLowerCase().endsWith('.jpeg')
+        );
+
+        return Promise.all(
+            imageFiles.map(async (file) => {
+                const filepath = path.join(dir, file);
+                const stats = await fs.stat(filepath);
+                return { filename: file, filepath, size: stats.size, mtime: stats.mtimeMs };
+            })
+        );
+    }
+
+    /**
+     * List captured images across loose files and all session folders, oldest first.
+     * sessionId is null for loose images; processedSize is the size of the frame's processed copy.
+     */
+    async getImageFiles(activeSessionId = null) {
+        const entries = await fs.readdir(this.outputDir, { withFileTypes: true });
+        const sessions = new SessionService(this.outputDir);
+        // Other cameras' folders can sit inside this one, so only session folders are counted
+        const folders = entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .map(entry => entry.name);
+        const sessionIds = (await Promise.all(folders.map(async name => ((await sessions.isSession(name)) ? name : null))))
+            .filter(Boolean);
+
+        const loose = (await this.listImagesIn(this.outputDir))
+            .map(image => ({ ...image, sessionId: null, processedSize: 0, active: false }));
+        const inSessions = await Promise.all(sessionIds.map(async (sessionId) => {
+            const processed = new Map((await this.listImagesIn(sessions.getProcessedDir(sessionId)))
+                .map(image => [image.filename, image.size]));
+            return (await this.listImagesIn(sessions.getSessionDir(sessionId))).map(image => ({
+                ...image,
+                sessionId,
+                processedSize: processed.get(image.filename) || 0,
+                active: sessionId === activeSessionId
+            }));
+        }));
+
+        const images = [...loose, ...inSessions.flat()];
+        return images.sort((a, b) => a.mtime - b.mtime);
+    }
+
+    /**
+     * Prune images by age, then count, then total size (oldest first). The session being captured
+     * (activeSessionId) counts toward the limits but is left alone, and processed copies count
+     * toward MAX_STORAGE_GB and go with their frame. Session frames are pruned through
+     * SessionService so the manifests keep matching the files.
+     */
+    async enforceRetention({ activeSessionId = null } = {}) {
+        const result = { deleted: 0, freedBytes: 0 };
+        if (!this.settings.autoCleanup || this.isPruning) {
+            return result;
+        }
+
+        this.isPruning = true;
+        try {
+            const images = await this.getImageFiles(activeSessionId);
+            const footprint = image => image.size + image.processedSize;
+            let totalSize = images.reduce((sum, image) => sum + footprint(image), 0);
+            let totalCount = images.length;
+            const prunable = images.filter(image => !image.active);
+            const toDelete = new Set();
+
+            if (this.settings.cleanupOlderThanDays > 0) {
+                const cutoff = Date.now() - this.settings.cleanupOlderThanDays * MS_PER_DAY;
+                prunable.filter(image => image.mtime < cutoff).forEach(image => toDelete.add(image));
+            }
+
+            // Remaining images are still oldest first, so trim from the front
+            const remaining = prunable.filter(image => !toDelete.has(image));
+            totalSize -= [...toDelete].reduce((sum, image) => sum + footprint(image), 0);
+            totalCount -= toDelete.size;
+
+            const maxBytes = this.settings.maxStorageGb * BYTES_PER_GB;
+            while (remaining.length > 0 && (
+                (this.settings.maxImages > 0 && totalCount > this.settings.maxImages) ||
+                (maxBytes > 0 && totalSize > maxBytes)
+            )) {
+                const image = remaining.shift();
+                toDelete.add(image);
+                totalSize -= footprint(image);
+                totalCount--;
+            }
+
+            const bySession = new Map();
+            for (const image of toDelete) {
+                if (image.sessionId) {
+                    bySession.set(image.sessionId, [...(bySession.get(image.sessionId) || []), image.filename]);
+                    continue;
+                }
+                try {
+                    await fs.unlink(image.filepath);
+                    result.deleted++;
+                    result.freedBytes += image.size;
+                } catch (error) {
+                    log.error(`Failed to delete ${image.filepath}:`, error.message);
+                }
+            }
+
+            const sessions = new SessionService(this.outputDir);
+            for (const [sessionId, filenames] of bySession) {
+                try {
+                    const pruned = await sessions.pruneFrames(sessionId, filenames);
+                    result.deleted += pruned.deleted;
+                    result.freedBytes += pruned.freedBytes;
+                } catch (error) {
+                    log.error(`Failed to prune session ${sessionId}:`, error.message);
+                }
+            }
+
+            if (result.deleted > 0) {
+                log.info(`Retention cleanup removed ${result.deleted} images (${(result.freedBytes / BYTES_PER_MB).toFixed(1)} MB)`);
+            }
+            return result;
+        } finally {
+            this.isPruning = false;
+        }
+    }
+}
+
+module.exports = StorageService;
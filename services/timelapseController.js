@@ -0,0 +1,959 @@
+const crypto = require('crypto');
+const http = require('http');
+const CameraRegistry = require('./cameraRegistry');
+const HealthService = require('./healthService');
+const MjpgSnapshotBackend = require('./captureBackends/mjpgSnapshotBackend');
+const { CONFIG_SCHEMA, SETTING_GROUPS, coerceValue } = require('./configSchema');
+const { formatBytes, formatClockTime } = require('./formatUtils');
+const logger = require('./logger');
+
+const log = logger.child('camera');
+const configLog = logger.child('config');
+const renderLog = logger.child('render');
+const storageLog = logger.child('storage');
+
+// Finished render jobs kept around for GET /renders
+const MAX_FINISHED_RENDER_JOBS = 20;
+
+// Renders use the captured frames or the session's deflickered/stabilized copies
+const RENDER_FRAME_SOURCES = ['raw', 'processed'];
+
+// Settings captures and streams need beyond the legacy config
+const RUNTIME_CONFIG_FIELDS = [
+    'resolutionWidth', 'resolutionHeight', 'streamWidth', 'streamHeight',
+    'captureMode', 'changeThreshold', 'motionThreshold', 'motionCheckInterval', 'burstCount', 'burstSpacing',
+    'exposureMode', 'shutterSpeed', 'gain', 'whiteBalance',
+    'exposureTarget', 'rampMaxStep', 'rampMinShutter', 'rampMaxShutter', 'rampMaxGain'
+];
+
+// Errors carry an HTTP status so the REST API can map them; socket handlers use the message
+function createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Every command the dashboard (Socket.IO) and the REST API can issue. Results are returned
+// to the caller and state changes are broadcast to all Socket.IO clients.
+class TimelapseController {
+    constructor({ io, configService, fullConfig }) {
+        this.io = io;
+        this.configService = configService;
+        this.fullConfig = fullConfig;
+        this.currentConfig = configService.getLegacyConfig(fullConfig); // Legacy config format for web interface compatibility
+        this.renderJobs = new Map();
+
+        // One CameraService, storage policy and schedule per camera in CAMERAS
+        this.cameraRegistry = new CameraRegistry();
+        this.cameraRegistry.load(fullConfig.cameras);
+        // Videos from every camera share VIDEO_DIR, so any camera can serve the library
+        this.videoLibrary = this.cameraRegistry.getDefault().cameraService;
+
+        this.healthService = new HealthService(this.cameraRegistry);
+        this.healthService.configure(fullConfig);
+
+        this.cameraRegistry.list().forEach(camera => {
+            camera.callbacks = this.createCaptureCallbacks(camera);
+            camera.scheduleHandlers = this.createScheduleHandlers(camera);
+        });
+    }
+
+    /**
+     * Look up a camera; no id means the first (default) camera
+     */
+    getCamera(cameraId) {
+        try {
+            return this.cameraRegistry.get(cameraId);
+        } catch (error) {
+            throw createError(404, error.message);
+        }
+    }
+
+    // Prefix camera-specific notifications with the camera name once there is more than one
+    cameraLabel(camera) {
+        return this.cameraRegistry.size > 1 ? `[${camera.name}] ` : '';
+    }
+
+    notify(camera, message, type) {
+        this.io.emit('notification', { message: `${camera ? this.cameraLabel(camera) : ''}${message}`, type });
+    }
+
+    // --- Broadcasts ---
+
+    async broadcastVideoList() {
+        const videoList = await this.videoLibrary.getVideoList();
+        this.io.emit('videoListUpdate', videoList);
+        return videoList;
+    }
+
+    async broadcastSessionList(camera) {
+        const sessionList = await camera.cameraService.getSessionList();
+        this.io.emit('sessionListUpdate', sessionList, camera.id);
+        return sessionList;
+    }
+
+    broadcastCameraList() {
+        this.io.emit('cameraListUpdate', this.cameraRegistry.getSummaries());
+    }
+
+    broadcastStatus(camera, overrides = {}) {
+        this.io.emit('statusUpdate', { ...this.buildStatus(camera), ...overrides }, camera.id);
+    }
+
+    broadcastStream(camera, streamStatus) {
+        const streamUrl = streamStatus === 'Stopped' ? '' : this.getStreamUrl(camera);
+        this.io.emit('streamStatusUpdate', streamStatus, camera.id);
+        this.io.emit('liveStreamUrl', streamUrl, camera.id);
+    }
+
+    /**
+     * Send the full current state to a newly connected client
+     */
+    sendInitialState(socket) {
+        // Send the camera list first so the client knows which camera each update belongs to
+        socket.emit('cameraListUpdate', this.cameraRegistry.getSummaries());
+        socket.emit('configUpdate', this.currentConfig);
+        socket.emit('settingsUpdate', this.getSettings());
+        // These read from disk; a failure is logged and that part of the dashboard stays empty
+        this.getConfigHistory()
+            .then(history => socket.emit('configHistoryUpdate', history))
+            .catch(error => configLog.error('Failed to send config history:', error));
+        this.listPresets()
+            .then(presets => socket.emit('presetListUpdate', presets))
+            .catch(error => configLog.error('Failed to send presets:', error));
+        this.cameraRegistry.list().forEach(camera => {
+            const { cameraService } = camera;
+            socket.emit('statusUpdate', this.buildStatus(camera), camera.id);
+            socket.emit('streamStatusUpdate', cameraService.isStreamActive() ? 'Streaming' : 'Stopped', camera.id);
+            socket.emit('liveStreamUrl', cameraService.isStreamActive() ? this.getStreamUrl(camera) : '', camera.id);
+            cameraService.getSessionList()
+                .then(sessionList => socket.emit('sessionListUpdate', sessionList, camera.id))
+                .catch(error => log.error(`Failed to send sessions of ${camera.id}:`, error));
+        });
+        this.videoLibrary.getVideoList()
+            .then(videoList => socket.emit('videoListUpdate', videoList))
+            .catch(error => renderLog.error('Failed to send videos:', error));
+    }
+
+    // --- Status and config ---
+
+    /**
+     * Build a camera's statusUpdate payload from its capture and scheduler state
+     */
+    buildStatus(camera) {
+        const status = camera.cameraService.getStatus();
+        const schedule = camera.schedulerService.getStatus();
+
+        // nextCaptureInMs lets the dashboard count down without depending on the browser's clock
+        let nextCapture = '--';
+        let nextCaptureInMs = null;
+        if (status.isCapturing && status.nextCaptureAt) {
+            nextCaptureInMs = Math.max(0, new Date(status.nextCaptureAt).getTime() - Date.now());
+            nextCapture = nextCaptureInMs > 0 ? `in ${Math.ceil(nextCaptureInMs / 1000)}s` : 'now';
+        } else if (status.isCapturing && status.captureMode) {
+            // motion and burst captures have no fixed next frame
+            nextCapture = 'On motion';
+        } else if (schedule.nextTransition && schedule.nextTransition.action === 'start') {
+            nextCapture = `Starts ${formatClockTime(new Date(schedule.nextTransition.at))}`;
+        }
+
+        return {
+            captureStatus: status.isCapturing ? 'Running' : 'Stopped',
+            imageCount: status.imageCount,
+            sessionTime: status.sessionTime,
+            nextCapture,
+            nextCaptureAt: status.nextCaptureAt,
+            nextCaptureInMs,
+            schedule,
+            watchdog: status.watchdog,
+            captureMode: status.captureMode,
+            exposure: status.exposure
+        };
+    }
+
+    getCameras() {
+        return this.cameraRegistry.getSummaries();
+    }
+
+    /**
+     * Detailed status of one camera for the REST API
+     */
+    getCameraStatus(cameraId) {
+        const camera = this.getCamera(cameraId);
+        const status = camera.cameraService.getStatus();
+
+        return {
+            cameraId: camera.id,
+            name: camera.name,
+            backend: camera.cameraService.captureBackend.name,
+            ...this.buildStatus(camera),
+            session: status.session,
+            stream: this.getStreamStatus(camera.id)
+        };
+    }
+
+    getConfig() {
+        return { ...this.currentConfig };
+    }
+
+    // Legacy config plus the exact sizes behind IMAGE_QUALITY=custom, the stream resolution and the
+    // capture mode and exposure settings, handed to captures (and stored with their session) and stream starts
+    getRuntimeConfig() {
+        const config = { ...this.currentConfig };
+        RUNTIME_CONFIG_FIELDS.forEach((field) => {
+            config[field] = this.fullConfig[field];
+        });
+        return config;
+    }
+
+    /**
+     * Persist config changes, then apply them to every camera and schedule
+     */
+    async updateConfig(updates, author) {
+        configLog.info('Saving config:', updates);
+
+        // Update configuration persistently using ConfigService
+        await this.configService.updateConfig(updates, author);
+        await this.applyConfigChanges();
+        return this.getConfig();
+    }
+
+    /**
+     * Every setting with its group, rule and current value, for the generated settings page
+     */
+    getSettings() {
+        return { groups: SETTING_GROUPS, settings: this.configService.describeSettings() };
+    }
+
+    /**
+     * Persist settings keyed by their .env names and apply them without restarting the server.
+     * restartRequired lists the cameras whose running stream or capture still uses the old values.
+     */
+    async updateSettings(updates, author) {
+        configLog.info('Saving settings:', updates);
+
+        const changed = await this.configService.updateSettings(updates, author);
+        await this.applyConfigChanges();
+        return { ...this.getSettings(), changed, restartRequired: this.getRestartRequired(changed) };
+    }
+
+    /**
+     * Which running streams and captures still use the old values of the changed .env keys, and
+     * whether the server itself has to restart (settings marked not editable, CAMERAS, API_KEY).
+     * CAMERA_<ID>_* overrides count as stream and capture settings.
+     */
+    getRestartRequired(changed) {
+        const applies = new Set(changed.flatMap(name => {
+            if (CONFIG_SCHEMA[name]) return CONFIG_SCHEMA[name].applies || [];
+            return name.startsWith('CAMERA_') ? ['stream', 'capture'] : [];
+        }));
+        const cameras = this.cameraRegistry.list();
+        return {
+            stream: applies.has('stream') ? cameras.filter(camera => camera.cameraService.isStreamActive()).map(camera => camera.id) : [],
+            capture: applies.has('capture') ? cameras.filter(camera => camera.cameraService.isCapturing).map(camera => camera.id) : [],
+            server: changed.some(name => CONFIG_SCHEMA[name] ? CONFIG_SCHEMA[name].editable === false : !name.startsWith('CAMERA_'))
+        };
+    }
+
+    // --- Health ---
+
+    /**
+     * CPU, temperature, throttling, memory, disk and capture/stream state with threshold warnings
+     */
+    async getHealth() {
+        return this.healthService.getReport();
+    }
+
+    // --- Config history ---
+
+    async getConfigHistory() {
+        return this.configService.getHistory();
+    }
+
+    /**
+     * A history entry with what rolling back to it would change
+     */
+    async getConfigHistoryEntry(id) {
+        const entry = await this.configService.diffHistory(id);
+        if (!entry) {
+            throw createError(404, `No config history entry "${id}"`);
+        }
+        return entry;
+    }
+
+    /**
+     * Restore .env from a history entry and apply it like a settings change
+     */
+    async rollbackConfig(id, author) {
+        const changed = await this.configService.rollback(id, author);
+        if (!changed) {
+            throw createError(404, `No config history entry "${id}"`);
+        }
+        await this.applyConfigChanges();
+        return { changed, restartRequired: this.getRestartRequired(changed) };
+    }
+
+    // --- Presets ---
+
+    async listPresets() {
+        return this.configService.listPresets();
+    }
+
+    async savePreset(name) {
+        const preset = await this.configService.savePreset(name);
+        await this.broadcastPresetList();
+        return preset;
+    }
+
+    /**
+     * Apply a preset's settings like a settings change; every client gets configUpdate
+     */
+    async applyPreset(name, author) {
+        const result = await this.configService.applyPreset(name, author);
+        if (!result) {
+            throw createError(404, `No preset named "${name}"`);
+        }
+        await this.applyConfigChanges();
+        return { preset: result.preset, changed: result.changed, restartRequired: this.getRestartRequired(result.changed) };
+    }
+
+    async deletePreset(name) {
+        if (!await this.configService.deletePreset(name)) {
+            throw createError(404, `No preset named "${name}"`);
+        }
+        return this.broadcastPresetList();
+    }
+
+    async exportPresets(names = null) {
+        return this.configService.exportPresets(names);
+    }
+
+    async importPresets(data, options = {}) {
+        const result = await this.configService.importPresets(data, options);
+        await this.broadcastPresetList();
+        return result;
+    }
+
+    async broadcastPresetList() {
+        const presets = await this.listPresets();
+        this.io.emit('presetListUpdate', presets);
+        return presets;
+    }
+
+    async broadcastConfigHistory() {
+        const history = await this.getConfigHistory();
+        this.io.emit('configHistoryUpdate', history);
+        return history;
+    }
+
+    // Reload .env into every camera, re-arm the schedules and update all clients
+    async applyConfigChanges() {
+        this.fullConfig = await this.configService.loadConfig();
+        this.currentConfig = this.configService.getLegacyConfig(this.fullConfig);
+        logger.configure({ level: this.fullConfig.logLevel });
+
+        this.cameraRegistry.reconfigure(this.fullConfig.cameras);
+        this.healthService.configure(this.fullConfig);
+
+        // Re-arm the schedulers in case a schedule changed
+        this.cameraRegistry.list().forEach(camera => {
+            this.startSchedule(camera);
+            this.broadcastStatus(camera);
+        });
+
+        // Update all clients with new config
+        this.io.emit('configUpdate', this.currentConfig);
+        this.io.emit('settingsUpdate', this.getSettings());
+        this.broadcastCameraList();
+        await this.broadcastConfigHistory();
+        // A changed setting may mean the active preset no longer applies
+        await this.broadcastPresetList();
+    }
+
+    // --- Capture ---
+
+    // Capture loop callbacks for a camera, shared by fresh and resumed timelapses
+    createCaptureCallbacks(camera) {
+        return {
+            // Also called for frames change mode discarded again (kept: false), so their count updates
+            onImageCaptured: (captureData) => {
+                this.broadcastStatus(camera, {
+                    imageCount: captureData.imageCount,
+                    sessionTime: captureData.sessionTime
+                });
+                if (!captureData.kept) return;
+                this.runStorageMaintenance(camera).catch(error => storageLog.error('Storage maintenance failed:', error));
+            },
+
+            // The loop keeps going after a failed frame until the watchdog gives up on the session
+            onCaptureError: (error, failure) => {
+                log.error(`Timelapse capture error on ${camera.id}:`, error);
+                this.broadcastStatus(camera);
+                if (failure.sessionFailed) {
+                    this.broadcastCameraList();
+                    this.broadcastSessionList(camera).catch(sessionError => log.error('Failed to broadcast sessions:', sessionError));
+                    this.notify(camera, `Capture stopped after ${failure.consecutiveFailures} failed captures in a row: ${error.message}`, 'error');
+                } else {
+                    this.notify(camera, `Capture failed (${failure.consecutiveFailures} of ${failure.threshold} in a row before the session stops): ${error.message}`, 'warning');
+                }
+            },
+
+            onStreamNotification: (type, message) => {
+                if (this.handleStreamWatchdogEvent(camera, type, message)) {
+                    return;
+                }
+                if (type === 'stream-paused') {
+                    this.io.emit('streamStatusUpdate', 'Paused for capture', camera.id);
+                    this.notify(camera, message, 'info');
+                } else if (type === 'stream-resumed') {
+                    this.io.emit('streamStatusUpdate', 'Streaming', camera.id);
+                    this.notify(camera, message, 'success');
+                } else if (type === 'stream-ready') {
+                    this.broadcastStream(camera, 'Streaming');
+                    this.notify(camera, message, 'success');
+                } else if (type === 'stream-error') {
+                    this.broadcastStream(camera, 'Stopped');
+                    this.notify(camera, message, 'error');
+                }
+            }
+        };
+    }
+
+    /**
+     * Broadcast the watchdog's stream restart events to every client. Returns false for other events.
+     */
+    handleStreamWatchdogEvent(camera, type, message) {
+        if (type === 'stream-restarting') {
+            this.io.emit('streamStatusUpdate', 'Restarting', camera.id);
+            this.io.emit('liveStreamUrl', '', camera.id);
+            this.notify(camera, message, 'warning');
+        } else if (type === 'stream-failed') {
+            this.broadcastStream(camera, 'Stopped');
+            this.notify(camera, message, 'error');
+        } else {
+            return false;
+        }
+        this.broadcastStatus(camera);
+        this.broadcastCameraList();
+        return true;
+    }
+
+    /**
+     * Start a timelapse; shared by the dashboard, the REST API and the scheduler.
+     * captureMode overrides CAPTURE_MODE for this session only.
+     */
+    async startCapture(cameraId, sessionName = null, { captureMode = null } = {}) {
+        const camera = this.getCamera(cameraId);
+        if (camera.cameraService.getStatus().isCapturing) {
+            throw createError(409, 'Capture is already running.');
+        }
+
+        const config = this.getRuntimeConfig();
+        if (captureMode) {
+            const result = coerceValue(CONFIG_SCHEMA.CAPTURE_MODE, captureMode);
+            if (result.error) {
+                throw createError(400, `captureMode ${result.error}`);
+            }
+            config.captureMode = result.value;
+        }
+
+        const space = await camera.storageService.checkFreeSpace();
+        if (!space.ok) {
+            throw createError(507, `Not enough free disk space (${formatBytes(space.free)} free, ${formatBytes(space.threshold)} required)`);
+        }
+
+        // The session records which preset (if any) the settings came from
+        const preset = await this.configService.getActivePreset();
+        await camera.cameraService.startTimelapse(
+            { ...config, preset },
+            camera.callbacks.onImageCaptured,
+            camera.callbacks.onCaptureError,
+            camera.callbacks.onStreamNotification,
+            sessionName
+        );
+
+        this.broadcastStatus(camera);
+        this.broadcastCameraList();
+        await this.broadcastSessionList(camera);
+        return this.getCameraStatus(camera.id);
+    }
+
+    /**
+     * Stop a camera's timelapse
+     */
+    stopCapture(cameraId) {
+        const camera = this.getCamera(cameraId);
+        log.info(`Stopping timelapse capture on ${camera.id}...`);
+
+        if (!camera.cameraService.stopTimelapse()) {
+            throw createError(409, 'Capture is not running.');
+        }
+
+        this.broadcastStatus(camera);
+        this.broadcastCameraList();
+        this.broadcastSessionList(camera).catch(error => log.error('Failed to broadcast sessions:', error));
+        return this.getCameraStatus(camera.id);
+    }
+
+    /**
+     * Resume a capture interrupted by a crash or reboot, unless the schedule window has since closed
+     */
+    async resumeInterruptedCapture(camera) {
+        const { cameraService, schedulerService, storageService, config } = camera;
+
+        if (config.scheduleEnabled && schedulerService.getWindow(config) && !schedulerService.isWithinWindow(new Date(), config)) {
+            const sessionId = await cameraService.abandonInterruptedTimelapse();
+            if (sessionId) {
+                log.info(`Not resuming session ${sessionId} on ${camera.id}: outside the schedule window`);
+            }
+            return;
+        }
+
+        const space = await storageService.checkFreeSpace();
+        if (!space.ok) {
+            const sessionId = await cameraService.abandonInterruptedTimelapse();
+            if (sessionId) {
+                log.error(`Not resuming session ${sessionId} on ${camera.id}: only ${formatBytes(space.free)} of disk space left`);
+            }
+            return;
+        }
+
+        const resumed = await cameraService.resumeTimelapse(
+            camera.callbacks.onImageCaptured,
+            camera.callbacks.onCaptureError,
+            camera.callbacks.onStreamNotification
+        );
+        if (resumed) {
+            const minutes = Math.round((new Date(resumed.gap.to) - new Date(resumed.gap.from)) / 60000);
+            this.broadcastStatus(camera);
+            this.notify(camera, `Resumed "${resumed.sessionName}" after a ${minutes} min interruption (~${resumed.gap.missedFrames} frames missed)`, 'info');
+        }
+    }
+
+    /**
+     * Prune old frames per the retention settings and pause capture if the disk is nearly full
+     */
+    async runStorageMaintenance(camera) {
+        const { cameraService, storageService } = camera;
+
+        // Never pull frames out from under a running ffmpeg render
+        if (!cameraService.isVideoGenerating()) {
+            const activeSessionId = cameraService.currentSession ? cameraService.currentSession.id : null;
+            const result = await storageService.enforceRetention({ activeSessionId });
+            if (result.deleted > 0) {
+                this.notify(camera, `Storage cleanup removed ${result.deleted} old images (${formatBytes(result.freedBytes)})`, 'info');
+            }
+        }
+
+        const space = await storageService.checkFreeSpace();
+        if (!space.ok && cameraService.getStatus().isCapturing) {
+            storageLog.error(`Low disk space: ${formatBytes(space.free)} free, pausing capture on ${camera.id}`);
+            this.stopCapture(camera.id);
+            this.notify(camera, `Capture paused: only ${formatBytes(space.free)} of disk space left (minimum ${formatBytes(space.threshold)})`, 'error');
+        }
+    }
+
+    runAllStorageMaintenance() {
+        this.cameraRegistry.list().forEach(camera => {
+            this.runStorageMaintenance(camera).catch(error => storageLog.error('Storage maintenance failed:', error));
+        });
+    }
+
+    // --- Schedule ---
+
+    createScheduleHandlers(camera) {
+        return {
+            onStart: async () => {
+                if (camera.cameraService.getStatus().isCapturing) return;
+                try {
+                    await this.startCapture(camera.id);
+                    this.notify(camera, 'Scheduled time-lapse capture started.', 'info');
+                } catch (error) {
+                    log.error(`Failed to start scheduled timelapse on ${camera.id}:`, error);
+                    this.notify(camera, `Scheduled capture failed to start: ${error.message}`, 'error');
+                }
+            },
+            onStop: () => {
+                if (!camera.cameraService.getStatus().isCapturing) return;
+                this.stopCapture(camera.id);
+                this.notify(camera, 'Scheduled time-lapse capture stopped.', 'info');
+            }
+        };
+    }
+
+    startSchedule(camera) {
+        camera.schedulerService.start(camera.config, camera.scheduleHandlers);
+    }
+
+    /**
+     * Resume interrupted captures and arm every camera's daily schedule
+     */
+    async startCameras() {
+        for (const camera of this.cameraRegistry.list()) {
+            // Pick up a capture that was running when the process last went down
+            try {
+                await this.resumeInterruptedCapture(camera);
+            } catch (error) {
+                log.error(`Failed to resume interrupted capture on ${camera.id}:`, error);
+            }
+
+            // Arm the daily schedule; starts capture right away if we boot inside the window
+            this.startSchedule(camera);
+        }
+    }
+
+    // --- Stream ---
+
+    // Where clients watch the stream: the API relay, which checks their login like any other route
+    getStreamUrl(camera) {
+        return `/api/v1/cameras/${encodeURIComponent(camera.id)}/stream/live`;
+    }
+
+    getStreamStatus(cameraId) {
+        const camera = this.getCamera(cameraId);
+        const active = camera.cameraService.isStreamActive();
+
+        return {
+            cameraId: camera.id,
+            status: active ? 'Streaming' : 'Stopped',
+            url: active ? this.getStreamUrl(camera) : null,
+            port: camera.cameraService.getStreamPort()
+        };
+    }
+
+    /**
+     * Start the live stream. The stream is ready once mjpg-streamer reports it;
+     * onEvent(event, message) receives 'stream-ready', 'stream-error' and 'stream-stopped'.
+     */
+    async startStream(cameraId, onEvent = null) {
+        const camera = this.getCamera(cameraId);
+        if (camera.cameraService.isStreamActive()) {
+            throw createError(409, 'Stream already running');
+        }
+
+        try {
+            await camera.cameraService.startStream(this.getRuntimeConfig(), (event, message) => {
+                if (this.handleStreamWatchdogEvent(camera, event, message)) {
+                    return;
+                }
+                if (event === 'stream-ready') {
+                    this.broadcastStream(camera, 'Streaming');
+                } else if (event === 'stream-error' || event === 'stream-stopped') {
+                    this.broadcastStream(camera, 'Stopped');
+                }
+                this.broadcastCameraList();
+                if (onEvent) {
+                    onEvent(event, message);
+                }
+            });
+        } catch (error) {
+            // The camera is busy with a capture
+            throw createError(409, error.message);
+        }
+
+        this.broadcastCameraList();
+        return { ...this.getStreamStatus(camera.id), status: 'Starting' };
+    }
+
+    async stopStream(cameraId) {
+        const camera = this.getCamera(cameraId);
+        if (!camera.cameraService.isStreamActive()) {
+            throw createError(409, 'Stream is not running');
+        }
+
+        await camera.cameraService.stopStream();
+        this.broadcastStream(camera, 'Stopped');
+        this.broadcastCameraList();
+        return this.getStreamStatus(camera.id);
+    }
+
+    /**
+     * Grab the current frame from a running stream
+     */
+    async getStreamSnapshot(cameraId) {
+        const camera = this.getCamera(cameraId);
+        if (!camera.cameraService.isStreamActive()) {
+            throw createError(409, 'Stream is not running');
+        }
+
+        const snapshotSource = new MjpgSnapshotBackend({
+            getStreamHost: () => camera.cameraService.getStreamHost(),
+            getStreamPort: () => camera.cameraService.getStreamPort()
+        });
+        try {
+            return await snapshotSource.fetchSnapshot();
+        } catch (error) {
+            throw createError(502, `Snapshot failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open the running stream on mjpg-streamer (loopback only) for the API to relay; resolves
+     * with the upstream response, whose multipart body carries the frames
+     */
+    async openStream(cameraId) {
+        const camera = this.getCamera(cameraId);
+        if (!camera.cameraService.isStreamActive()) {
+            throw createError(409, 'Stream is not running');
+        }
+
+        const { cameraService } = camera;
+        return new Promise((resolve, reject) => {
+            const request = http.get({ host: cameraService.getStreamHost(), port: cameraService.getStreamPort(), path: '/?action=stream' }, (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(createError(502, `mjpg-streamer returned HTTP ${response.statusCode}`));
+                    return;
+                }
+                resolve(response);
+            });
+            request.on('error', error => reject(createError(502, `Stream unavailable: ${error.message}`)));
+        });
+    }
+
+    // --- Images and sessions ---
+
+    async listSessions(cameraId) {
+        return this.getCamera(cameraId).cameraService.getSessionList();
+    }
+
+    async listImages(cameraId, sessionId = null) {
+        return this.getCamera(cameraId).cameraService.getImageList(sessionId);
+    }
+
+    /**
+     * Delete the images of a session (or the loose images when sessionId is null)
+     */
+    async clearImages(cameraId, sessionId = null) {
+        const camera = this.getCamera(cameraId);
+        log.info(`Clearing images on ${camera.id}...`);
+
+        let clearedCount;
+        try {
+            clearedCount = await camera.cameraService.clearImages(sessionId);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw createError(404, `Unknown session "${sessionId}"`);
+            }
+            throw createError(error.message === 'Invalid session id' ? 400 : 500, error.message);
+        }
+
+        // Update status with current camera service state
+        this.broadcastStatus(camera);
+        this.io.emit('imagesCleared', { sessionId: sessionId || null }, camera.id);
+        await this.broadcastSessionList(camera);
+        return { cameraId: camera.id, sessionId: sessionId || null, cleared: clearedCount };
+    }
+
+    // --- Videos and render jobs ---
+
+    async listVideos() {
+        return this.videoLibrary.getVideoList();
+    }
+
+    async deleteVideo(filename) {
+        try {
+            await this.videoLibrary.deleteVideo(filename);
+        } catch (error) {
+            throw createError(error.code === 'ENOENT' ? 404 : 400, error.code === 'ENOENT' ? 'Video not found' : error.message);
+        }
+        await this.broadcastVideoList();
+        return { filename, deleted: true };
+    }
+
+    getRenderJobs() {
+        return Array.from(this.renderJobs.values())
+            .map(job => this.serializeRenderJob(job))
+            .reverse();
+    }
+
+    getRenderJob(jobId) {
+        const job = this.renderJobs.get(jobId);
+        if (!job) {
+            throw createError(404, `Unknown render job "${jobId}"`);
+        }
+        return this.serializeRenderJob(job);
+    }
+
+    // Everything but the completion promise
+    serializeRenderJob(job) {
+        const serializable = { ...job };
+        delete serializable.completion;
+        return serializable;
+    }
+
+    /**
+     * Start rendering a session to MP4, from its captured frames or (frames: 'processed') the ones
+     * processFrames made. Returns the job right away; job.completion resolves with the finished job
+     * (complete, error or cancelled) and never rejects.
+     */
+    startRender(cameraId, options = {}) {
+        const camera = this.getCamera(cameraId);
+        const frames = options.frames || 'raw';
+        if (!RENDER_FRAME_SOURCES.includes(frames)) {
+            throw createError(400, `frames must be one of: ${RENDER_FRAME_SOURCES.join(', ')}`);
+        }
+        const videoJob = this.reserveVideoSlot(camera);
+
+        const job = this.createVideoJob(camera, 'render', {
+            sessionId: options.sessionId || null,
+            applyOrientation: Boolean(options.applyOrientation),
+            frames,
+            message: 'Starting video generation...'
+        });
+
+        renderLog.info(`Generating video for ${camera.id} with ffmpeg...`);
+        return this.runVideoJob(camera, job, {
+            progressMessage: progress => `Generating: ${progress}%`,
+            run: onProgress => camera.cameraService.generateVideo(
+                this.currentConfig,
+                onProgress,
+                job.sessionId,
+                { applyOrientation: job.applyOrientation, frames: job.frames, videoJob }
+            ),
+            onComplete: async (result) => {
+                Object.assign(job, {
+                    message: `Video generation complete! File: ${result.filename}`,
+                    filename: result.filename
+                });
+                await this.broadcastVideoList().catch(error => log.error('Failed to broadcast videos:', error));
+            },
+            failedMessage: 'Video generation failed',
+            cancelledMessage: 'Video generation cancelled.'
+        });
+    }
+
+    /**
+     * Start deflickering and/or stabilizing a session's frames into its processed/ folder, as a
+     * job tracked like a render (type 'process'). It shares the camera's single render slot.
+     */
+    startProcessing(cameraId, options = {}) {
+        const camera = this.getCamera(cameraId);
+        if (!options.sessionId) {
+            throw createError(400, 'Choose a session to process');
+        }
+        if (!options.deflicker && !options.stabilize) {
+            throw createError(400, 'Choose deflicker, stabilize or both');
+        }
+        const videoJob = this.reserveVideoSlot(camera);
+
+        const job = this.createVideoJob(camera, 'process', {
+            sessionId: options.sessionId,
+            deflicker: Boolean(options.deflicker),
+            stabilize: Boolean(options.stabilize),
+            message: 'Starting frame processing...'
+        });
+
+        renderLog.info(`Processing frames of ${job.sessionId} for ${camera.id}...`);
+        return this.runVideoJob(camera, job, {
+            progressMessage: progress => `Processing frames: ${progress}%`,
+            run: onProgress => camera.cameraService.processFrames(
+                this.fullConfig,
+                job.sessionId,
+                { deflicker: job.deflicker, stabilize: job.stabilize, videoJob },
+                onProgress
+            ),
+            onComplete: async (result) => {
+                job.message = `Processed ${result.frameCount} frames; choose processed frames to render them.`;
+                await this.broadcastSessionList(camera).catch(error => log.error('Failed to broadcast sessions:', error));
+            },
+            failedMessage: 'Frame processing failed',
+            cancelledMessage: 'Frame processing cancelled.'
+        });
+    }
+
+    // Renders and processing passes both run ffmpeg over every frame, so a camera runs one at a time.
+    // The slot is claimed here, before the job exists, and handed to the run, which releases it.
+    reserveVideoSlot(camera) {
+        try {
+            return camera.cameraService.reserveVideoJob();
+        } catch (error) {
+            if (error.busy) {
+                throw createError(409, 'A video is already being generated or frames processed.');
+            }
+            throw error;
+        }
+    }
+
+    createVideoJob(camera, type, fields) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            cameraId: camera.id,
+            ...fields,
+            status: 'in-progress',
+            progress: 0,
+            filename: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        this.renderJobs.set(job.id, job);
+        this.pruneRenderJobs();
+        return job;
+    }
+
+    // Runs a job's ffmpeg work, keeping its status and the dashboard's progress bar up to date
+    runVideoJob(camera, job, { progressMessage, run, onComplete, failedMessage, cancelledMessage }) {
+        const emitStatus = () => {
+            this.io.emit('videoGenerationStatus', {
+                jobId: job.id,
+                type: job.type,
+                status: job.status,
+                message: job.message,
+                progress: job.progress,
+                filename: job.filename
+            }, camera.id);
+        };
+        emitStatus();
+
+        job.completion = run((progress) => {
+            job.progress = progress;
+            job.message = progressMessage(progress);
+            emitStatus();
+        }).then(async (result) => {
+            Object.assign(job, { status: 'complete', progress: 100 });
+            await onComplete(result);
+        }, (error) => {
+            if (error.cancelled) {
+                Object.assign(job, { status: 'cancelled', message: cancelledMessage });
+            } else {
+                renderLog.error(`${failedMessage}:`, error);
+                Object.assign(job, { status: 'error', message: `${failedMessage}: ${error.message}` });
+            }
+        }).then(() => {
+            job.finishedAt = new Date().toISOString();
+            emitStatus();
+            return this.serializeRenderJob(job);
+        });
+
+        return job;
+    }
+
+    /**
+     * Cancel a camera's running render
+     */
+    cancelRender(cameraId) {
+        const camera = this.getCamera(cameraId);
+        if (!camera.cameraService.cancelVideoGeneration()) {
+            throw createError(409, 'No video generation in progress.');
+        }
+        return { cameraId: camera.id, cancelled: true };
+    }
+
+    cancelRenderJob(jobId) {
+        const job = this.getRenderJob(jobId);
+        if (job.status !== 'in-progress') {
+            throw createError(409, `Render job already ${job.status}`);
+        }
+        return this.cancelRender(job.cameraId);
+    }
+
+    // Keep running jobs and the most recent finished ones
+    pruneRenderJobs() {
+        const finished = Array.from(this.renderJobs.values()).filter(job => job.status !== 'in-progress');
+        finished.slice(0, Math.max(finished.length - MAX_FINISHED_RENDER_JOBS, 0))
+            .forEach(job => this.renderJobs.delete(job.id));
+    }
+}
+
+module.exports = TimelapseController;
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const http = require('http');
+const AuthService = require('../services/authService');
+const TimelapseController = require('../services/timelapseController');
+const { createApiRouter } = require('../routes/apiRouter');
+
+// Tracks open sockets so close() can drop them (closeAllConnections needs Node 18.2)
+function listen(server) {
+    server.sockets = new Set();
+    server.on('connection', (socket) => {
+        server.sockets.add(socket);
+        socket.on('close', () => server.sockets.delete(socket));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function dropConnections(server) {
+    server.sockets.forEach(socket => socket.destroy());
+}
+
+function close(server) {
+    dropConnections(server);
+    return new Promise(resolve => server.close(resolve));
+}
+
+// Resolves with the response as soon as its headers are in; the body is left to the caller
+function get(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: urlPath }, resolve).on('error', reject);
+    });
+}
+
+// A stand-in mjpg-streamer that sends one frame and keeps the response open, like the real one
+function createFakeStreamer() {
+    return http.createServer((req, res) => {
+        assert.equal(req.url, '/?action=stream');
+        res.writeHead(200, { 'Content-Type': 'multipart/x-mixed-replace;boundary=frame' });
+        res.write('--frame\r\nContent-Type: image/jpeg\r\n\r\nJPEG\r\n');
+    });
+}
+
+async function createApi(streamPort) {
+    const cameraService = {
+        streaming: true,
+        isStreamActive() { return this.streaming; },
+        getStreamHost: () => '127.0.0.1',
+        getStreamPort: () => streamPort
+    };
+    const camera = { id: 'cam1', cameraService };
+    const controller = Object.create(TimelapseController.prototype);
+    controller.getCamera = () => camera;
+
+    const app = express();
+    app.use('/api/v1', createApiRouter(controller, new AuthService({ authEnabled: false })));
+    const server = http.createServer(app);
+    return { server, port: await listen(server), cameraService };
+}
+
+test('the live stream is relayed from mjpg-streamer through the API', async () => {
+    const streamer = createFakeStreamer();
+    const { server, port, cameraService } = await createApi(await listen(streamer));
+    try {
+        const response = await get(port, '/api/v1/cameras/cam1/stream/live');
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['content-type'], 'multipart/x-mixed-replace;boundary=frame');
+        const [chunk] = await new Promise(resolve => response.once('data', (...args) => resolve(args)));
+        assert.match(chunk.toString(), /--frame/);
+        response.destroy();
+
+        cameraService.streaming = false;
+        const stopped = await get(port, '/api/v1/cameras/cam1/stream/live');
+        stopped.resume();
+        assert.equal(stopped.statusCode, 409);
+    } finally {
+        await Promise.all([close(server), close(streamer)]);
+    }
+});
+
+test('a relayed stream ends when mjpg-streamer goes away', async () => {
+    const streamer = createFakeStreamer();
+    const { server, port } = await createApi(await listen(streamer));
+    try {
+        const response = await get(port, '/api/v1/cameras/cam1/stream/live');
+        response.resume();
+        const ended = new Promise(resolve => response.on('close', resolve));
+
+        dropConnections(streamer); // mjpg-streamer stopped or crashed mid-stream
+        await ended;
+    } finally {
+        await Promise.all([close(server), close(streamer)]);
+    }
+});
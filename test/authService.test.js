@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AuthService = require('../services/authService');
+
+test('a malformed cookie is skipped instead of failing the socket handshake', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'));
+    try {
+        const auth = new AuthService({ authFile: path.join(dir, 'auth.json') });
+        await auth.load();
+
+        assert.deepEqual(auth.parseCookies('timelapse_session=%E0%A4%A; theme=dark%20mode'), { theme: 'dark mode' });
+        assert.equal(auth.authenticateSocket({ headers: { cookie: 'timelapse_session=%E0%A4%A' } }), null);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('an unknown username costs the same password check as a known one', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'));
+    try {
+        const auth = new AuthService({ authFile: path.join(dir, 'auth.json') });
+        await auth.load();
+        await auth.addUser('alice', 'correct horse', 'viewer');
+
+        const checked = [];
+        const verifyPassword = auth.verifyPassword.bind(auth);
+        auth.verifyPassword = (password, stored) => {
+            checked.push(stored);
+            return verifyPassword(password, stored);
+        };
+
+        assert.equal(await auth.login('mallory', 'correct horse'), null);
+        assert.equal(await auth.login('alice', 'wrong'), null);
+        assert.deepEqual(await auth.login('alice', 'correct horse'), { username: 'alice', role: 'viewer' });
+        assert.equal(checked.length, 3, 'every attempt runs scrypt');
+        assert.match(checked[0], /^scrypt\$/);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
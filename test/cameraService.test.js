@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CameraService = require('../services/cameraService');
+
+// A stand-in ffmpeg on PATH: takes a moment, then writes whatever output file it was given
+async function installFakeFfmpeg(dir) {
+    const script = path.join(dir, 'ffmpeg');
+    await fs.writeFile(script, [
+        '#!/usr/bin/env node',
+        'setTimeout(() => {',
+        '    require("fs").writeFileSync(process.argv[process.argv.length - 1], "");',
+        '    console.log("frame=2");',
+        '}, 300);'
+    ].join('\n'));
+    await fs.chmod(script, 0o755);
+    process.env.PATH = `${dir}${path.delimiter}${process.env.PATH}`;
+}
+
+async function createCamera() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'));
+    await installFakeFfmpeg(dir);
+    const camera = new CameraService({
+        cameraType: 'fake',
+        outputDir: path.join(dir, 'captures'),
+        videoDir: path.join(dir, 'videos')
+    });
+    await camera.ensureOutputDir();
+    // Written out of order, and with file times that say nothing about the capture order
+    for (const name of ['timelapse_2026-01-01T10-00-05-000Z.jpg', 'timelapse_2026-01-01T10-00-00-000Z.jpg']) {
+        await fs.writeFile(path.join(camera.outputDir, name), '');
+    }
+    return { camera, dir };
+}
+
+test('a second render requested at the same time is refused', async () => {
+    const { camera, dir } = await createCamera();
+    try {
+        const first = camera.generateVideo({ videoFps: 30 });
+        const second = camera.generateVideo({ videoFps: 30 });
+
+        await assert.rejects(second, error => error.busy === true);
+        assert.equal(camera.isVideoGenerating(), true, 'the first render still holds the slot');
+
+        const result = await first;
+        assert.equal(result.frameCount, 2);
+        assert.equal(camera.isVideoGenerating(), false);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('a render cancelled before ffmpeg starts is cancelled, not run', async () => {
+    const { camera, dir } = await createCamera();
+    try {
+        const render = camera.generateVideo({ videoFps: 30 });
+        assert.equal(camera.cancelVideoGeneration(), true);
+
+        await assert.rejects(render, error => error.cancelled === true);
+        assert.equal(camera.isVideoGenerating(), false);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('frames are listed in capture order from their names', async () => {
+    const { camera, dir } = await createCamera();
+    try {
+        const images = await camera.getImageList();
+        assert.deepEqual(images.map(image => image.filename), [
+            'timelapse_2026-01-01T10-00-05-000Z.jpg',
+            'timelapse_2026-01-01T10-00-00-000Z.jpg'
+        ]);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FswebcamBackend = require('../services/captureBackends/fswebcamBackend');
+
+// A stand-in fswebcam on PATH that records its arguments in the file it was asked to write
+async function installFakeFswebcam(dir) {
+    const script = path.join(dir, 'fswebcam');
+    await fs.writeFile(script, [
+        '#!/usr/bin/env node',
+        'const args = process.argv.slice(2);',
+        'require("fs").writeFileSync(args[args.length - 1], JSON.stringify(args));'
+    ].join('\n'));
+    await fs.chmod(script, 0o755);
+    process.env.PATH = `${dir}${path.delimiter}${process.env.PATH}`;
+}
+
+test('fswebcam gets the device, options and path as separate arguments, without a shell', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'));
+    try {
+        await installFakeFswebcam(dir);
+        const backend = new FswebcamBackend({ device: '1' });
+        const filepath = path.join(dir, 'frame "$(touch injected)".jpg');
+
+        await backend.capture(filepath, { width: 640, height: 480, flipHorizontal: true, exposure: { whiteBalance: 'daylight' } });
+
+        assert.deepEqual(JSON.parse(await fs.readFile(filepath, 'utf8')), [
+            '-d', '/dev/video1',
+            '-r', '640x480',
+            '--no-banner',
+            '--flip', 'h',
+            '-s', 'White Balance Temperature, Auto=0',
+            '-s', 'White Balance Temperature=5500',
+            filepath
+        ]);
+        await assert.rejects(fs.access(path.join(process.cwd(), 'injected')));
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
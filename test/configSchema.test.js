@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG_SCHEMA, coerceValue } = require('../services/configSchema');
+
+test('camera devices are an index or a /dev path', () => {
+    assert.deepEqual(coerceValue(CONFIG_SCHEMA.CAMERA_DEVICE, 0), { value: '0' });
+    assert.deepEqual(coerceValue(CONFIG_SCHEMA.CAMERA_DEVICE, '/dev/video0'), { value: '/dev/video0' });
+    assert.ok(coerceValue(CONFIG_SCHEMA.CAMERA_DEVICE, '/dev/video0 "$(reboot)"').error);
+    assert.ok(coerceValue(CONFIG_SCHEMA.CAMERA_DEVICE, 'video0').error);
+});
+
+test('image and video folders only take plain path characters', () => {
+    for (const rule of [CONFIG_SCHEMA.OUTPUT_DIR, CONFIG_SCHEMA.VIDEO_DIR]) {
+        assert.deepEqual(coerceValue(rule, '/home/pi/My Timelapses'), { value: '/home/pi/My Timelapses' });
+        assert.ok(coerceValue(rule, './captures"; reboot; "').error);
+        assert.ok(coerceValue(rule, '$(reboot)').error);
+        assert.ok(coerceValue(rule, '--output=/etc').error, 'a leading - would be read as an option');
+    }
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const AuthService = require('../services/authService');
+const { createDashboardRouter } = require('../routes/dashboardRouter');
+
+test('a viewer gets the dashboard but not logs, .env or the auth store', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'));
+    const server = http.createServer();
+    try {
+        await fs.mkdir(path.join(dir, 'logs'));
+        await Promise.all([
+            fs.writeFile(path.join(dir, 'index.html'), '<h1>Dashboard</h1>'),
+            fs.writeFile(path.join(dir, 'logs', 'timelapse.log'), 'secret log line'),
+            fs.writeFile(path.join(dir, '.env'), 'API_KEY=secret')
+        ]);
+        const auth = new AuthService({ authFile: path.join(dir, 'auth.json') });
+        await auth.load();
+        const key = await auth.addApiKey('viewer', 'viewer');
+
+        const app = express();
+        app.use(auth.requireRole('viewer'), createDashboardRouter(dir));
+        server.on('request', app);
+        const port = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+        const getStatus = urlPath => new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path: urlPath, headers: { 'X-API-Key': key } }, (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject);
+        });
+
+        assert.equal(await getStatus('/'), 200);
+        assert.equal(await getStatus('/index.html'), 200);
+        for (const urlPath of ['/logs', '/logs/timelapse.log', '/.env', '/auth.json', '/server.js']) {
+            assert.equal(await getStatus(urlPath), 404, urlPath);
+        }
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('../services/fileUtils');
+
+test('writeFileAtomic replaces the file with the given mode and leaves no temp file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'));
+    try {
+        const filePath = path.join(dir, '.env');
+        await writeFileAtomic(filePath, 'A=1\n', { mode: 0o600 });
+        await writeFileAtomic(filePath, 'A=2\n', { mode: 0o600 });
+
+        assert.equal(await fs.readFile(filePath, 'utf8'), 'A=2\n');
+        assert.equal((await fs.stat(filePath)).mode & 0o777, 0o600);
+        assert.deepEqual(await fs.readdir(dir), ['.env']);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const StorageService = require('../services/storageService');
+const SessionService = require('../services/sessionService');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Frames of 1 KB, each a second older than the next so the prune order is known
+async function createSession(sessions, id, frameCount, startSeconds, { processed = false } = {}) {
+    const dir = sessions.getSessionDir(id);
+    await fs.mkdir(path.join(dir, 'processed'), { recursive: true });
+    const frames = [];
+    for (let index = 0; index < frameCount; index++) {
+        const filename = `timelapse_${id}_${index}.jpg`;
+        const time = new Date(Date.now() - (1000 - startSeconds - index) * 1000);
+        await fs.writeFile(path.join(dir, filename), Buffer.alloc(1024));
+        await fs.utimes(path.join(dir, filename), time, time);
+        if (processed) {
+            await fs.writeFile(path.join(dir, 'processed', filename), Buffer.alloc(1024));
+        }
+        frames.push({ filename, capturedAt: time.toISOString() });
+    }
+    await sessions.saveManifest({ id, name: id, frames, errors: [] });
+    if (processed) {
+        await sessions.saveProcessingInfo(id, { frameCount, deflicker: true });
+    }
+}
+
+async function setup() {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-storage-'));
+    const sessions = new SessionService(outputDir);
+    const storage = new StorageService(outputDir);
+    storage.configure({ autoCleanup: true, maxImages: 0, maxStorageGb: 0, cleanupOlderThanDays: 0, minFreeSpaceMb: 0 });
+    return { outputDir, sessions, storage };
+}
+
+test('pruning keeps the manifest and processing info in step and spares the active session', async () => {
+    const { outputDir, sessions, storage } = await setup();
+    try {
+        await createSession(sessions, 'old', 3, 0, { processed: true });
+        await createSession(sessions, 'active', 3, -100); // Oldest of all, but being captured
+        storage.settings.maxImages = 4;
+
+        const result = await storage.enforceRetention({ activeSessionId: 'active' });
+
+        assert.equal(result.deleted, 2);
+        const manifest = await sessions.readManifest('old');
+        assert.deepEqual(manifest.frames.map(frame => frame.filename), ['timelapse_old_2.jpg']);
+        assert.equal((await sessions.readProcessingInfo('old')).frameCount, 1);
+        assert.deepEqual(await fs.readdir(path.join(outputDir, 'old', 'processed')), ['processing.json', 'timelapse_old_2.jpg']);
+        assert.equal((await sessions.readManifest('active')).frames.length, 3);
+    } finally {
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+});
+
+test('processed copies count toward MAX_STORAGE_GB', async () => {
+    const { outputDir, sessions, storage } = await setup();
+    try {
+        await createSession(sessions, 'old', 2, 0, { processed: true });
+        await createSession(sessions, 'newer', 2, 10);
+        // 6 KB on disk, 4 KB of it captured frames; 5 KB allowed
+        storage.settings.maxStorageGb = (5 * 1024) / BYTES_PER_GB;
+
+        const result = await storage.enforceRetention();
+
+        assert.equal(result.deleted, 1);
+        assert.equal(result.freedBytes, 2 * 1024, 'the frame and its processed copy');
+        assert.equal((await sessions.readManifest('old')).frames.length, 1);
+    } finally {
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+});
+
+test('a session pruned of every frame is removed', async () => {
+    const { outputDir, sessions, storage } = await setup();
+    try {
+        await createSession(sessions, 'old', 2, 0);
+        await createSession(sessions, 'newer', 2, 10);
+        storage.settings.maxImages = 2;
+
+        await storage.enforceRetention();
+
+        await assert.rejects(fs.stat(path.join(outputDir, 'old')), { code: 'ENOENT' });
+        assert.equal((await sessions.readManifest('newer')).frames.length, 2);
+    } finally {
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+});
+
+test("a second camera's folder inside OUTPUT_DIR is not counted or pruned", async () => {
+    const { outputDir, sessions, storage } = await setup();
+    try {
+        await createSession(sessions, 'old', 2, 0);
+        // CAMERA_<ID>_OUTPUT_DIR defaults to OUTPUT_DIR/<id>, with loose images of its own
+        const otherCamera = path.join(outputDir, 'cam2');
+        await fs.mkdir(otherCamera);
+        await fs.writeFile(path.join(otherCamera, 'timelapse_loose.jpg'), Buffer.alloc(1024));
+        const longAgo = new Date(Date.now() - 86400 * 1000); // Older than every frame of this camera
+        await fs.utimes(path.join(otherCamera, 'timelapse_loose.jpg'), longAgo, longAgo);
+        storage.settings.maxImages = 2;
+
+        const result = await storage.enforceRetention();
+
+        assert.equal(result.deleted, 0);
+        assert.deepEqual(await fs.readdir(otherCamera), ['timelapse_loose.jpg']);
+    } finally {
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CameraService = require('../services/cameraService');
+const TimelapseController = require('../services/timelapseController');
+
+// A controller around one camera whose render takes a moment, without ffmpeg or a config on disk
+function createController() {
+    const cameraService = new CameraService({ cameraType: 'fake' });
+    cameraService.generateVideo = (config, onProgress, sessionId, options) =>
+        cameraService.runInVideoSlot(options.videoJob, () =>
+            new Promise(resolve => setTimeout(() => resolve({ filename: 'test.mp4' }), 50)));
+
+    const camera = { id: 'cam1', cameraService };
+    const controller = Object.create(TimelapseController.prototype);
+    Object.assign(controller, {
+        io: { emit() {} },
+        currentConfig: {},
+        renderJobs: new Map(),
+        getCamera: () => camera,
+        broadcastVideoList: async () => {}
+    });
+    return { controller, cameraService };
+}
+
+test('a second render requested in the same tick gets a 409', async () => {
+    const { controller, cameraService } = createController();
+
+    const first = controller.startRender('cam1');
+    assert.throws(() => controller.startRender('cam1'), error => error.status === 409);
+    assert.throws(() => controller.startProcessing('cam1', { sessionId: 's1', deflicker: true }), error => error.status === 409);
+
+    const finished = await first.completion;
+    assert.equal(finished.status, 'complete');
+    assert.equal(cameraService.isVideoGenerating(), false);
+});
+
+test('a client connecting while state cannot be read gets what can be read, without an unhandled rejection', async () => {
+    const { controller, cameraService } = createController();
+    const failing = () => Promise.reject(new Error('EIO: i/o error, scandir'));
+    const emitted = [];
+    Object.assign(controller, {
+        cameraRegistry: { getSummaries: () => [], list: () => [{ id: 'cam1', cameraService }] },
+        videoLibrary: { getVideoList: failing },
+        getSettings: () => ({}),
+        getConfigHistory: failing,
+        listPresets: failing,
+        buildStatus: () => ({})
+    });
+    cameraService.getSessionList = failing;
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        controller.sendInitialState({ emit: event => emitted.push(event) });
+        await new Promise(resolve => setTimeout(resolve, 20));
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+
+    assert.deepEqual(unhandled, []);
+    assert.ok(emitted.includes('cameraListUpdate'));
+});